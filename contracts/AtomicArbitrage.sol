@@ -0,0 +1,250 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+interface IERC20 {
+    function balanceOf(address owner) external view returns (uint256);
+    function transfer(address to, uint256 amount) external returns (bool);
+    function transferFrom(address from, address to, uint256 amount) external returns (bool);
+    function approve(address spender, uint256 amount) external returns (bool);
+}
+
+interface IUniswapV2Pair {
+    function getReserves() external view returns (uint112 reserve0, uint112 reserve1, uint32 blockTimestampLast);
+    function swap(uint256 amount0Out, uint256 amount1Out, address to, bytes calldata data) external;
+}
+
+interface IUniswapV3Pool {
+    function swap(address recipient, bool zeroForOne, int256 amountSpecified, uint160 sqrtPriceLimitX96, bytes calldata data)
+        external
+        returns (int256 amount0, int256 amount1);
+}
+
+interface ICurvePool {
+    // Older StableSwap pools return nothing, so the output is measured from balances
+    function exchange(int128 i, int128 j, uint256 dx, uint256 minDy) external;
+}
+
+interface IBalancerVault {
+    struct SingleSwap {
+        bytes32 poolId;
+        uint8 kind;
+        address assetIn;
+        address assetOut;
+        uint256 amount;
+        bytes userData;
+    }
+
+    struct FundManagement {
+        address sender;
+        bool fromInternalBalance;
+        address payable recipient;
+        bool toInternalBalance;
+    }
+
+    function swap(SingleSwap calldata singleSwap, FundManagement calldata funds, uint256 limit, uint256 deadline)
+        external
+        returns (uint256 amountCalculated);
+}
+
+interface IAavePool {
+    function flashLoanSimple(address receiverAddress, address asset, uint256 amount, bytes calldata params, uint16 referralCode) external;
+}
+
+// Runs an arbitrage route in a single transaction, either with tokens pulled
+// from the owner or funded by a Uniswap V2 flash swap on the first pool or an
+// Aave flash loan of the input token. A route that does not return its input
+// plus minProfit reverts as a whole, so no leg can be left half filled.
+contract AtomicArbitrage {
+    uint8 internal constant KIND_UNISWAP_V2 = 0;
+    uint8 internal constant KIND_UNISWAP_V3 = 1;
+    uint8 internal constant KIND_CURVE = 2;
+    uint8 internal constant KIND_BALANCER = 3;
+
+    uint160 internal constant MIN_SQRT_RATIO = 4295128739;
+    uint160 internal constant MAX_SQRT_RATIO = 1461446703485210103287273052203988822378723970342;
+
+    // extra carries what a venue needs beyond the pool address:
+    // abi.encode(int128 i, int128 j) for Curve, abi.encode(bytes32 poolId)
+    // for Balancer, empty otherwise
+    struct Leg {
+        uint8 kind;
+        address pool;
+        address tokenIn;
+        address tokenOut;
+        bool zeroForOne;
+        uint24 feePips;
+        bytes extra;
+    }
+
+    address public immutable owner;
+    IAavePool public immutable aavePool;
+    IBalancerVault public immutable balancerVault;
+
+    // Pools we expect a callback from, set only while their call is open
+    address private activeFlashPair;
+    address private activeV3Pool;
+
+    modifier onlyOwner() {
+        require(msg.sender == owner, "not owner");
+        _;
+    }
+
+    constructor(address aavePool_, address balancerVault_) {
+        owner = msg.sender;
+        aavePool = IAavePool(aavePool_);
+        balancerVault = IBalancerVault(balancerVault_);
+    }
+
+    // Pulls amountIn of tokenIn from the owner (who must have approved this
+    // contract), runs every leg and sends the proceeds back
+    function execute(address tokenIn, uint256 amountIn, Leg[] calldata legs, uint256 minProfit) external onlyOwner {
+        uint256 balanceBefore = IERC20(tokenIn).balanceOf(address(this));
+        _safeCall(tokenIn, abi.encodeWithSelector(IERC20.transferFrom.selector, owner, address(this), amountIn));
+
+        _runLegs(legs, amountIn);
+
+        uint256 balanceAfter = IERC20(tokenIn).balanceOf(address(this));
+        require(balanceAfter >= balanceBefore + amountIn + minProfit, "profit below minimum");
+
+        _safeTransfer(tokenIn, owner, balanceAfter - balanceBefore);
+    }
+
+    // Borrows borrowAmount of the first leg's output from `pair`, runs the
+    // remaining legs with it and repays the pair amountIn of the input token
+    function flashSwapArbitrage(
+        address pair,
+        bool zeroForOne,
+        address tokenIn,
+        uint256 amountIn,
+        uint256 borrowAmount,
+        Leg[] calldata legs,
+        uint256 minProfit
+    ) external onlyOwner {
+        activeFlashPair = pair;
+        (uint256 amount0Out, uint256 amount1Out) = zeroForOne ? (uint256(0), borrowAmount) : (borrowAmount, uint256(0));
+        IUniswapV2Pair(pair).swap(amount0Out, amount1Out, address(this), abi.encode(tokenIn, amountIn, legs, minProfit));
+        activeFlashPair = address(0);
+    }
+
+    function uniswapV2Call(address sender, uint256 amount0, uint256 amount1, bytes calldata data) external {
+        require(msg.sender == activeFlashPair && sender == address(this), "unexpected flash swap");
+
+        (address tokenIn, uint256 amountIn, Leg[] memory legs, uint256 minProfit) =
+            abi.decode(data, (address, uint256, Leg[], uint256));
+
+        uint256 amountOut = _runLegs(legs, amount0 + amount1);
+        require(amountOut >= amountIn + minProfit, "profit below minimum");
+
+        _safeTransfer(tokenIn, msg.sender, amountIn);
+    }
+
+    // Borrows amount of asset from Aave and runs every leg with it
+    function flashLoanArbitrage(address asset, uint256 amount, Leg[] calldata legs, uint256 minProfit) external onlyOwner {
+        aavePool.flashLoanSimple(address(this), asset, amount, abi.encode(legs, minProfit), 0);
+    }
+
+    function executeOperation(address asset, uint256 amount, uint256 premium, address initiator, bytes calldata params)
+        external
+        returns (bool)
+    {
+        require(msg.sender == address(aavePool) && initiator == address(this), "unexpected flash loan");
+
+        (Leg[] memory legs, uint256 minProfit) = abi.decode(params, (Leg[], uint256));
+
+        uint256 amountOut = _runLegs(legs, amount);
+        require(amountOut >= amount + premium + minProfit, "profit below minimum");
+
+        // Aave pulls the repayment
+        _safeCall(asset, abi.encodeWithSelector(IERC20.approve.selector, address(aavePool), amount + premium));
+        return true;
+    }
+
+    function uniswapV3SwapCallback(int256 amount0Delta, int256 amount1Delta, bytes calldata data) external {
+        require(msg.sender == activeV3Pool, "unexpected swap callback");
+
+        address tokenIn = abi.decode(data, (address));
+        _safeTransfer(tokenIn, msg.sender, uint256(amount0Delta > 0 ? amount0Delta : amount1Delta));
+    }
+
+    function withdraw(address token, uint256 amount) external onlyOwner {
+        _safeTransfer(token, owner, amount);
+    }
+
+    function _runLegs(Leg[] memory legs, uint256 amountIn) internal returns (uint256 amount) {
+        amount = amountIn;
+        for (uint256 i = 0; i < legs.length; i++) {
+            Leg memory leg = legs[i];
+            if (leg.kind == KIND_UNISWAP_V2) {
+                amount = _swapUniswapV2(leg, amount);
+            } else if (leg.kind == KIND_UNISWAP_V3) {
+                amount = _swapUniswapV3(leg, amount);
+            } else if (leg.kind == KIND_CURVE) {
+                amount = _swapCurve(leg, amount);
+            } else if (leg.kind == KIND_BALANCER) {
+                amount = _swapBalancer(leg, amount);
+            } else {
+                revert("unsupported leg");
+            }
+        }
+    }
+
+    // Pays the pair first and takes out what its current reserves give, so the
+    // leg never depends on amounts quoted off-chain
+    function _swapUniswapV2(Leg memory leg, uint256 amountIn) internal returns (uint256 amountOut) {
+        (uint256 reserve0, uint256 reserve1,) = IUniswapV2Pair(leg.pool).getReserves();
+        (uint256 reserveIn, uint256 reserveOut) = leg.zeroForOne ? (reserve0, reserve1) : (reserve1, reserve0);
+
+        uint256 amountInWithFee = amountIn * (1000000 - leg.feePips);
+        amountOut = (amountInWithFee * reserveOut) / (reserveIn * 1000000 + amountInWithFee);
+
+        _safeTransfer(leg.tokenIn, leg.pool, amountIn);
+        (uint256 amount0Out, uint256 amount1Out) = leg.zeroForOne ? (uint256(0), amountOut) : (amountOut, uint256(0));
+        IUniswapV2Pair(leg.pool).swap(amount0Out, amount1Out, address(this), new bytes(0));
+    }
+
+    function _swapUniswapV3(Leg memory leg, uint256 amountIn) internal returns (uint256 amountOut) {
+        activeV3Pool = leg.pool;
+        (int256 amount0, int256 amount1) = IUniswapV3Pool(leg.pool).swap(
+            address(this),
+            leg.zeroForOne,
+            int256(amountIn),
+            leg.zeroForOne ? MIN_SQRT_RATIO + 1 : MAX_SQRT_RATIO - 1,
+            abi.encode(leg.tokenIn)
+        );
+        activeV3Pool = address(0);
+
+        amountOut = uint256(-(leg.zeroForOne ? amount1 : amount0));
+    }
+
+    function _swapCurve(Leg memory leg, uint256 amountIn) internal returns (uint256 amountOut) {
+        (int128 i, int128 j) = abi.decode(leg.extra, (int128, int128));
+        uint256 balanceBefore = IERC20(leg.tokenOut).balanceOf(address(this));
+
+        _safeCall(leg.tokenIn, abi.encodeWithSelector(IERC20.approve.selector, leg.pool, amountIn));
+        ICurvePool(leg.pool).exchange(i, j, amountIn, 0);
+
+        amountOut = IERC20(leg.tokenOut).balanceOf(address(this)) - balanceBefore;
+    }
+
+    function _swapBalancer(Leg memory leg, uint256 amountIn) internal returns (uint256 amountOut) {
+        bytes32 poolId = abi.decode(leg.extra, (bytes32));
+
+        _safeCall(leg.tokenIn, abi.encodeWithSelector(IERC20.approve.selector, address(balancerVault), amountIn));
+        amountOut = balancerVault.swap(
+            IBalancerVault.SingleSwap(poolId, 0, leg.tokenIn, leg.tokenOut, amountIn, new bytes(0)),
+            IBalancerVault.FundManagement(address(this), false, payable(address(this)), false),
+            0,
+            block.timestamp
+        );
+    }
+
+    function _safeTransfer(address token, address to, uint256 amount) internal {
+        _safeCall(token, abi.encodeWithSelector(IERC20.transfer.selector, to, amount));
+    }
+
+    // Tolerates tokens such as USDT that return nothing from transfer/approve
+    function _safeCall(address token, bytes memory data) internal {
+        (bool success, bytes memory result) = token.call(data);
+        require(success && (result.length == 0 || abi.decode(result, (bool))), "token call failed");
+    }
+}
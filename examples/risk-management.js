@@ -62,9 +62,9 @@ async function riskManagementExample() {
     console.log('\n📈 Testing Daily Statistics:');
     
     // Simulate some trades
-    riskManager.recordTradeResult(ethers.parseEther('0.1'), 0.002, 21000); // Profit
-    riskManager.recordTradeResult(ethers.parseEther('0.2'), -0.001, 21000); // Loss
-    riskManager.recordTradeResult(ethers.parseEther('0.05'), 0.001, 21000); // Small profit
+    riskManager.recordTradeResult(ethers.parseEther('0.1'), ethers.parseEther('0.002'), 21000); // Profit
+    riskManager.recordTradeResult(ethers.parseEther('0.2'), -ethers.parseEther('0.001'), 21000); // Loss
+    riskManager.recordTradeResult(ethers.parseEther('0.05'), ethers.parseEther('0.001'), 21000); // Small profit
 
     const dailyStats = riskManager.getDailyStats();
     console.log(`Daily trades: ${dailyStats.trades}`);
@@ -0,0 +1,162 @@
+const { ethers } = require('ethers');
+const config = require('./config');
+
+const LEG_TUPLE = 'tuple(uint8 kind, address pool, address tokenIn, address tokenOut, bool zeroForOne, uint24 feePips, bytes extra)[] legs';
+
+// Entry points of contracts/AtomicArbitrage.sol
+const ATOMIC_ARBITRAGE_ABI = [
+    `function execute(address tokenIn, uint256 amountIn, ${LEG_TUPLE}, uint256 minProfit)`,
+    `function flashSwapArbitrage(address pair, bool zeroForOne, address tokenIn, uint256 amountIn, uint256 borrowAmount, ${LEG_TUPLE}, uint256 minProfit)`,
+    `function flashLoanArbitrage(address asset, uint256 amount, ${LEG_TUPLE}, uint256 minProfit)`,
+    'function withdraw(address token, uint256 amount)'
+];
+
+// Leg kinds understood by the contract
+const LEG_KINDS = {
+    v2: 0,
+    v3: 1,
+    curve: 2,
+    balancer: 3
+};
+
+// Encodes opportunities as single calls to the arbitrage contract, which
+// reverts unless the route returns its input plus a minimum profit.
+class AtomicArbitrageBuilder {
+    constructor(contractAddress = config.execution.contractAddress, aavePremiumBps = config.execution.aavePremiumBps) {
+        this.contractAddress = contractAddress;
+        this.aavePremiumBps = aavePremiumBps;
+        this.slippageBps = BigInt(Math.round(config.mev.slippageTolerance * 100));
+        this.interface = new ethers.Interface(ATOMIC_ARBITRAGE_ABI);
+    }
+
+    supportsLegs(legs) {
+        return legs.every(leg => LEG_KINDS[leg.poolType] !== undefined);
+    }
+
+    encodeLegs(legs) {
+        const coder = ethers.AbiCoder.defaultAbiCoder();
+        return legs.map(leg => {
+            let extra = '0x';
+            if (leg.poolType === 'curve') {
+                extra = coder.encode(['int128', 'int128'], [leg.coinIndexIn, leg.coinIndexOut]);
+            } else if (leg.poolType === 'balancer') {
+                extra = coder.encode(['bytes32'], [leg.poolId]);
+            }
+
+            return {
+                kind: LEG_KINDS[leg.poolType],
+                pool: leg.poolAddress,
+                tokenIn: leg.tokenIn,
+                tokenOut: leg.tokenOut,
+                zeroForOne: leg.zeroForOne,
+                feePips: leg.feePips,
+                extra
+            };
+        });
+    }
+
+    // Trade funded from the wallet, which must have approved the contract.
+    // Returns null when the contract cannot run one of the legs.
+    buildDirectCall(opportunity) {
+        if (!this.supportsLegs(opportunity.legs)) return null;
+
+        const amountIn = BigInt(opportunity.amountIn);
+        const expectedProfit = opportunity.expectedOutput - amountIn;
+        const data = this.interface.encodeFunctionData('execute', [
+            opportunity.tokenIn,
+            amountIn,
+            this.encodeLegs(opportunity.legs),
+            this.getMinProfit(expectedProfit)
+        ]);
+
+        return {
+            source: 'wallet',
+            loanFee: 0n,
+            expectedProfit,
+            to: this.contractAddress,
+            data
+        };
+    }
+
+    // Which loan buildPlan takes for a route
+    static getFlashSource(legs) {
+        return legs[0].poolType === 'v2' ? 'uniswap-v2-flash-swap' : 'aave-flash-loan';
+    }
+
+    // A V2 first leg is borrowed from its own pool: the pool hands over the
+    // leg's output first and is repaid with the leg's input, which its swap
+    // fee already covers. Any other route borrows tokenIn from Aave and pays
+    // the flash loan premium on top.
+    // Returns null when the contract cannot run one of the legs.
+    buildPlan(opportunity) {
+        const legs = opportunity.legs;
+        if (!this.supportsLegs(legs)) return null;
+
+        const amountIn = BigInt(opportunity.amountIn);
+        const first = legs[0];
+
+        if (AtomicArbitrageBuilder.getFlashSource(legs) === 'uniswap-v2-flash-swap') {
+            const borrowAmount = first.amountOut;
+            const expectedProfit = opportunity.expectedOutput - amountIn;
+            const data = this.interface.encodeFunctionData('flashSwapArbitrage', [
+                first.poolAddress,
+                first.zeroForOne,
+                opportunity.tokenIn,
+                amountIn,
+                borrowAmount,
+                this.encodeLegs(legs.slice(1)),
+                this.getMinProfit(expectedProfit)
+            ]);
+
+            return {
+                source: 'uniswap-v2-flash-swap',
+                lender: first.poolAddress,
+                borrowToken: first.tokenOut,
+                borrowAmount,
+                repayAmount: amountIn,
+                loanFee: 0n,
+                expectedProfit,
+                to: this.contractAddress,
+                data
+            };
+        }
+
+        const loanFee = AtomicArbitrageBuilder.getAavePremium(amountIn, this.aavePremiumBps);
+        const expectedProfit = opportunity.expectedOutput - amountIn - loanFee;
+        const data = this.interface.encodeFunctionData('flashLoanArbitrage', [
+            opportunity.tokenIn,
+            amountIn,
+            this.encodeLegs(legs),
+            this.getMinProfit(expectedProfit)
+        ]);
+
+        return {
+            source: 'aave-flash-loan',
+            lender: config.execution.aavePool,
+            borrowToken: opportunity.tokenIn,
+            borrowAmount: amountIn,
+            repayAmount: amountIn + loanFee,
+            loanFee,
+            expectedProfit,
+            to: this.contractAddress,
+            data
+        };
+    }
+
+    // The contract reverts unless it keeps at least this much, which is the
+    // expected profit less the slippage tolerance
+    getMinProfit(expectedProfit) {
+        if (expectedProfit <= 0n) return 0n;
+        return (expectedProfit * (10000n - this.slippageBps)) / 10000n;
+    }
+
+    // Aave rounds the premium half up
+    static getAavePremium(amount, premiumBps) {
+        return (BigInt(amount) * BigInt(premiumBps) + 5000n) / 10000n;
+    }
+}
+
+AtomicArbitrageBuilder.ABI = ATOMIC_ARBITRAGE_ABI;
+AtomicArbitrageBuilder.LEG_KINDS = LEG_KINDS;
+
+module.exports = AtomicArbitrageBuilder;
@@ -0,0 +1,91 @@
+const { ethers } = require('ethers');
+const config = require('./config');
+
+const BALANCER_VAULT_ABI = [
+    'function getPoolTokens(bytes32 poolId) external view returns (address[] tokens, uint256[] balances, uint256 lastChangeBlock)',
+    'event Swap(bytes32 indexed poolId, address indexed tokenIn, address indexed tokenOut, uint256 amountIn, uint256 amountOut)',
+    'event PoolBalanceChanged(bytes32 indexed poolId, address indexed liquidityProvider, address[] tokens, int256[] deltas, uint256[] protocolFeeAmounts)'
+];
+
+const WEIGHTED_POOL_ABI = [
+    'function getPoolId() external view returns (bytes32)',
+    'function getNormalizedWeights() external view returns (uint256[])',
+    'function getSwapFeePercentage() external view returns (uint256)'
+];
+
+const ONE = 10n ** 18n; // Weights and fees are 18-decimal fixed point
+const MAX_IN_RATIO = 3n * 10n ** 17n; // The pool reverts on swaps above 30% of balanceIn, after the fee
+
+class BalancerWeightedPool {
+    constructor(address, provider, vaultAddress = config.exchanges.balancerVault) {
+        this.address = address;
+        this.contract = new ethers.Contract(address, WEIGHTED_POOL_ABI, provider);
+        this.vault = new ethers.Contract(vaultAddress, BALANCER_VAULT_ABI, provider);
+        this.poolId = null;
+        this.tokens = [];
+    }
+
+    async loadMetadata() {
+        this.poolId = await this.contract.getPoolId();
+        const [tokens, weights] = await Promise.all([
+            this.vault.getPoolTokens(this.poolId),
+            this.contract.getNormalizedWeights()
+        ]);
+
+        this.tokens = Array.from(tokens.tokens);
+        return { poolId: this.poolId, tokens: this.tokens, weights: weights.map(weight => BigInt(weight.toString())) };
+    }
+
+    async fetchState(blockTag = 'latest') {
+        const [poolTokens, weights, swapFee] = await Promise.all([
+            this.vault.getPoolTokens(this.poolId, { blockTag }),
+            this.contract.getNormalizedWeights({ blockTag }),
+            this.contract.getSwapFeePercentage({ blockTag })
+        ]);
+
+        return this.buildState(poolTokens.balances, weights, swapFee);
+    }
+
+    buildState(balances, weights, swapFee) {
+        return {
+            balances: Array.from(balances).map(balance => BigInt(balance.toString())),
+            weights: Array.from(weights).map(weight => BigInt(weight.toString())),
+            swapFee: BigInt(swapFee.toString())
+        };
+    }
+
+    // WeightedMath._calcOutGivenIn:
+    // out = balanceOut * (1 - (balanceIn / (balanceIn + amountIn)) ^ (weightIn / weightOut))
+    // Equal weights are computed exactly; otherwise the power runs in
+    // floating point through log1p/expm1 and the result is rounded down.
+    // Null for inputs the pool would reject.
+    static getAmountOut(state, i, j, amountIn, withFee = true) {
+        if (amountIn <= 0n) return 0n;
+
+        const balanceIn = state.balances[i];
+        const balanceOut = state.balances[j];
+        const fee = withFee ? (amountIn * state.swapFee + ONE - 1n) / ONE : 0n;
+        const amountInAfterFee = amountIn - fee;
+
+        if (amountInAfterFee > (balanceIn * MAX_IN_RATIO) / ONE) return null;
+
+        if (state.weights[i] === state.weights[j]) {
+            return (balanceOut * amountInAfterFee) / (balanceIn + amountInAfterFee);
+        }
+
+        const exponent = Number(state.weights[i]) / Number(state.weights[j]);
+        const fraction = -Math.expm1(-exponent * Math.log1p(Number(amountInAfterFee) / Number(balanceIn)));
+        return (balanceOut * BigInt(Math.floor(fraction * 1e18))) / ONE;
+    }
+
+    // Marginal price of token i in token j, in raw units, before fees
+    static spotPrice(state, i, j) {
+        return (Number(state.balances[j]) / Number(state.weights[j])) / (Number(state.balances[i]) / Number(state.weights[i]));
+    }
+}
+
+BalancerWeightedPool.VAULT_ABI = BALANCER_VAULT_ABI;
+BalancerWeightedPool.ABI = WEIGHTED_POOL_ABI;
+BalancerWeightedPool.ONE = ONE;
+
+module.exports = BalancerWeightedPool;
@@ -4,6 +4,7 @@ const readline = require('readline');
 const MEVBot = require('./index');
 const logger = require('./logger');
 const Web3Utils = require('./utils');
+const GasHistoryStore = require('./gashistory');
 
 class CLIInterface {
     constructor() {
@@ -94,13 +95,17 @@ class CLIInterface {
                     break;
 
                 case 'gas':
-                    this.showGasInfo();
+                    this.showGasInfo(args[1]);
                     break;
 
                 case 'risk':
                     this.showRiskInfo();
                     break;
 
+                case 'paper':
+                    this.showPaperInfo();
+                    break;
+
                 case 'log':
                 case 'logs':
                     this.handleLogCommand(args[1]);
@@ -142,8 +147,9 @@ Information:
   stats          - Show performance statistics
   config         - Show current configuration
   pairs          - Show watched trading pairs
-  gas            - Show gas price information
+  gas [days]     - Show gas prices and fee history over the last days (default 7)
   risk           - Show risk management status
+  paper          - Show paper-trading portfolio and equity
   
 Logging:
   log info       - Set log level to info
@@ -190,11 +196,12 @@ Utility:
         const status = this.bot.isRunning ? '🟢 Running' : '🔴 Stopped';
         const wallet = this.bot.wallet ? Web3Utils.formatAddress(this.bot.wallet.address) : 'None';
         const scanInterval = `${this.bot.scanInterval / 1000}s`;
+        const mode = this.bot.eventDriven ? 'Event-driven (WebSocket)' : `Polling every ${scanInterval}`;
 
         console.log(`
 📊 Bot Status: ${status}
 💰 Wallet: ${wallet}
-⏱️  Scan Interval: ${scanInterval}
+⏱️  Scan Mode: ${mode}
 🔗 Provider: ${this.bot.provider ? 'Connected' : 'Not connected'}
         `);
     }
@@ -255,12 +262,23 @@ Log Level: ${config.monitoring.logLevel}
 
         console.log('\n👀 Watched Trading Pairs:');
         pairs.forEach(([address, info], index) => {
-            console.log(`  ${index + 1}. ${Web3Utils.formatAddress(address)} (${info.exchange})`);
+            if (info.symbols) {
+                console.log(`  ${index + 1}. ${Web3Utils.formatAddress(address)} ${info.symbols.join('/')} (${info.exchange})`);
+                return;
+            }
+
+            const priceData = this.bot.monitor.getCachedPrice(address);
+            const price = priceData
+                ? ` 1 ${info.symbol0} = ${priceData.price0.toPrecision(6)} ${info.symbol1}`
+                    + (priceData.blockNumber !== null ? ` @ block ${priceData.blockNumber}` : '')
+                    + (priceData.stale ? ' ⚠️ stale' : '')
+                : '';
+            console.log(`  ${index + 1}. ${Web3Utils.formatAddress(address)} ${info.symbol0}/${info.symbol1} (${info.exchange})${price}`);
         });
         console.log();
     }
 
-    showGasInfo() {
+    showGasInfo(days) {
         if (!this.bot || !this.bot.gasOptimizer) {
             console.log('❌ Bot not initialized');
             return;
@@ -276,6 +294,34 @@ Recent prices: ${gasHistory.slice(-3).map(g => g.gasPriceGwei).join(' → ')} gw
 Average (5min): ${averageGas ? Web3Utils.formatGasPrice(averageGas) : 'N/A'}
 Trend: ${trend}
         `);
+
+        const store = this.bot.gasOptimizer.historyStore;
+        if (!store) return;
+
+        const windowDays = parseFloat(days) > 0 ? parseFloat(days) : 7;
+        const windowMs = windowDays * 24 * 60 * 60 * 1000;
+        const gwei = (fee) => (fee === null ? 'N/A' : Web3Utils.formatTokenAmount(fee, 9, 2));
+        const percentiles = (summary, field) => [10, 50, 90].map(p => gwei(summary[field][p])).join(' / ');
+        const dayNames = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+        const lastDay = store.getSummary(24 * 60 * 60 * 1000);
+        const recent = store.getSummary(windowMs);
+        const hourly = store.getHourlyProfile(windowMs);
+        const weekdays = store.getWeekdayProfile(windowMs);
+        const formatHour = (bucket) => `${String(bucket.bucket).padStart(2, '0')}:00 (${gwei(bucket.medianBaseFee)})`;
+        const formatDay = (bucket) => `${dayNames[bucket.bucket]} (${gwei(bucket.medianBaseFee)})`;
+        const priciestHours = GasHistoryStore.rankCheapest(hourly, 24).reverse().slice(0, 3);
+
+        console.log(`
+📚 Fee History (p10 / p50 / p90, gwei):
+Last 24h: ${lastDay.blocks} blocks, base fee ${percentiles(lastDay, 'baseFee')}, priority fee ${percentiles(lastDay, 'priorityFee')}
+Last ${windowDays}d: ${recent.blocks} blocks, base fee ${percentiles(recent, 'baseFee')}, priority fee ${percentiles(recent, 'priorityFee')}
+Average block fullness: ${recent.averageGasUsedRatio === null ? 'N/A' : `${(recent.averageGasUsedRatio * 100).toFixed(1)}%`}
+Cheapest hours (UTC): ${GasHistoryStore.rankCheapest(hourly).map(formatHour).join(', ') || 'N/A'}
+Priciest hours (UTC): ${priciestHours.map(formatHour).join(', ') || 'N/A'}
+Weekdays (UTC, median base fee): ${weekdays.filter(bucket => bucket.blocks > 0).map(formatDay).join(', ') || 'N/A'}
+Cheapest weekdays: ${GasHistoryStore.rankCheapest(weekdays, 2).map(formatDay).join(', ') || 'N/A'}
+        `);
     }
 
     showRiskInfo() {
@@ -296,6 +342,31 @@ Trading status: ${shouldHalt ? '🔴 Halted' : '🟢 Active'}
         `);
     }
 
+    showPaperInfo() {
+        if (!this.bot || !this.bot.executor) {
+            console.log('❌ Bot not initialized');
+            return;
+        }
+        if (!this.bot.executor.paperTrader) {
+            console.log('📝 Paper trading is off (set PAPER_TRADING=true)');
+            return;
+        }
+
+        const summary = this.bot.executor.paperTrader.getSummary();
+        const curve = summary.equityCurve.slice(-5).map(point => Web3Utils.formatTokenAmount(point.equityWei, 18, 4));
+
+        console.log(`
+📝 Paper Portfolio:
+Equity: ${summary.equityEth} ETH (started at ${summary.startingEquityEth} ETH)
+PnL: ${summary.pnlEth} ETH
+Trades: ${summary.trades} (${summary.slippageTrades} filled worse than estimated)
+Gas spent: ${summary.gasSpentEth} ETH
+Recent equity: ${curve.length > 0 ? curve.join(' → ') : 'N/A'} ETH
+Balances:
+${summary.balances.map(({ token, amount, decimals }) => `  ${this.bot.tokenUtils.getTokenName(token)}: ${Web3Utils.formatTokenAmount(amount, decimals, 6)}`).join('\n')}
+        `);
+    }
+
     handleLogCommand(level) {
         if (!level) {
             console.log('Current log level:', logger.logLevel);
@@ -1,4 +1,5 @@
 require('dotenv').config();
+const { ethers } = require('ethers');
 
 class Config {
     constructor() {
@@ -15,11 +16,20 @@ class Config {
         }
     }
 
+    parseEtherSetting(value, fallback) {
+        try {
+            return ethers.parseEther(value ? value.trim() : fallback);
+        } catch {
+            return ethers.parseEther(fallback);
+        }
+    }
+
     get ethereum() {
         return {
             rpcUrl: process.env.ETHEREUM_RPC_URL || 'https://eth-mainnet.g.alchemy.com/v2/demo',
             wsUrl: process.env.ETHEREUM_WS_URL,
-            chainId: parseInt(process.env.CHAIN_ID) || 1
+            chainId: parseInt(process.env.CHAIN_ID) || 1,
+            reorgDepth: parseInt(process.env.REORG_TRACK_DEPTH) || 64 // Recent block hashes kept for reorg detection
         };
     }
 
@@ -31,11 +41,58 @@ class Config {
     }
 
     get mev() {
+        const bidProfitShare = parseFloat(process.env.GAS_BID_PROFIT_SHARE);
         return {
-            minProfitEth: parseFloat(process.env.MIN_PROFIT_ETH) || 0.01,
+            minProfitEth: parseFloat(process.env.MIN_PROFIT_ETH) || 0.01, // Display only
+            // Parsed from the string so small values are exact and never go through '1e-7'
+            minProfitWei: this.parseEtherSetting(process.env.MIN_PROFIT_ETH, '0.01'),
             maxGasPrice: parseInt(process.env.MAX_GAS_PRICE) || 50,
             slippageTolerance: parseFloat(process.env.SLIPPAGE_TOLERANCE) || 0.5,
-            maxSlippage: 3.0 // Maximum allowed slippage
+            maxSlippage: 3.0, // Maximum allowed slippage
+            maxCycleHops: parseInt(process.env.MAX_CYCLE_HOPS) || 3,
+            maxSnapshotAge: parseInt(process.env.MAX_SNAPSHOT_AGE_BLOCKS) || 2,
+            // Percent of a trade's profit left after the base fee that is bid as priority fee
+            bidProfitShare: Number.isNaN(bidProfitShare) ? 50 : bidProfitShare // 0 bids no share at all
+        };
+    }
+
+    get execution() {
+        return {
+            // 'wallet' trades from the wallet's own balance, 'flash' borrows the input
+            mode: process.env.EXECUTION_MODE || 'wallet',
+            contractAddress: process.env.ARBITRAGE_CONTRACT,
+            aavePool: process.env.AAVE_POOL || '0x87870Bca3F3fD6335C3F4ce8392D69350B4fA4E2',
+            aavePremiumBps: parseInt(process.env.AAVE_FLASH_PREMIUM_BPS) || 5,
+            // Forked node used to simulate each transaction before it is sent
+            forkRpcUrl: process.env.FORK_RPC_URL,
+            simulationTolerance: parseFloat(process.env.SIMULATION_PROFIT_TOLERANCE) || 5, // Percent
+            // Transactions pending this many blocks are replaced: 'cancel' or 'speedup'
+            stuckTxBlocks: parseInt(process.env.STUCK_TX_BLOCKS) || 3,
+            stuckTxAction: process.env.STUCK_TX_ACTION || 'cancel'
+        };
+    }
+
+    get paper() {
+        return {
+            // Fill trades against a virtual portfolio instead of sending them
+            enabled: process.env.PAPER_TRADING === 'true',
+            startingEth: parseFloat(process.env.PAPER_STARTING_ETH) || 10
+        };
+    }
+
+    get gasHistory() {
+        return {
+            // Per-block base and priority fees, appended as JSON lines
+            file: process.env.GAS_HISTORY_FILE || 'data/gas-history.jsonl',
+            retentionDays: parseInt(process.env.GAS_HISTORY_DAYS) || 30
+        };
+    }
+
+    get relay() {
+        return {
+            // Flashbots-compatible relay; transactions go to the public mempool when unset
+            url: process.env.RELAY_URL,
+            authKey: process.env.RELAY_AUTH_KEY // Signs relay requests, holds no funds
         };
     }
 
@@ -43,7 +100,52 @@ class Config {
         return {
             uniswapV2Factory: process.env.UNISWAP_V2_FACTORY || '0x5C69bEe701ef814a2B6a3EDD4B1652CB9cc5aA6f',
             uniswapV3Factory: process.env.UNISWAP_V3_FACTORY || '0x1F98431c8aD98523631AE4a59f267346ea31F984',
-            sushiswapFactory: process.env.SUSHISWAP_FACTORY || '0xC0AEe478e3658e2610c5F7A4A2E1777cE9e4f2Ac'
+            sushiswapFactory: process.env.SUSHISWAP_FACTORY || '0xC0AEe478e3658e2610c5F7A4A2E1777cE9e4f2Ac',
+            additionalV2Factories: this.parseFactoryList(process.env.ADDITIONAL_V2_FACTORIES),
+            // Curve pools to watch (default: 3pool)
+            curvePools: (process.env.CURVE_POOLS || '0xbEbc44782C7dB0a1A60Cb6fe97d0b483032FF1C7')
+                .split(',').map(address => address.trim()).filter(Boolean),
+            balancerVault: process.env.BALANCER_VAULT || '0xBA12222222228d8Ba445958a75a0704d566BF2C8',
+            // Balancer weighted pools to watch (default: 50WBTC-50WETH)
+            balancerPools: (process.env.BALANCER_POOLS || '0xA6F548DF93de924d73be7D25dC02554c6bD66dB5')
+                .split(',').map(address => address.trim()).filter(Boolean)
+        };
+    }
+
+    // Parses "Name=0xFactory,Other Name=0xFactory:feeBps:0xInitCodeHash"
+    // into [{ name, address, feeBps, initCodeHash }]; the fields after
+    // the factory are optional and may be left empty
+    parseFactoryList(value) {
+        if (!value) return [];
+
+        return value.split(',')
+            .map(entry => entry.split('='))
+            .filter(parts => parts.length === 2 && parts[0].trim() && parts[1].trim())
+            .map(([name, spec]) => {
+                const [address, feeBps, initCodeHash] = spec.split(':').map(field => field.trim() || null);
+                return {
+                    name: name.trim(),
+                    address,
+                    feeBps: feeBps ? parseInt(feeBps) : null,
+                    initCodeHash: initCodeHash || null
+                };
+            });
+    }
+
+    get multicall() {
+        return {
+            address: process.env.MULTICALL3_ADDRESS || '0xcA11bde05977b3631167028862bE2a173976CA11',
+            batchSize: parseInt(process.env.MULTICALL_BATCH_SIZE) || 100
+        };
+    }
+
+    get discovery() {
+        return {
+            tokens: process.env.DISCOVERY_TOKENS
+                ? process.env.DISCOVERY_TOKENS.split(',').map(token => token.trim()).filter(Boolean)
+                : [],
+            minLiquidityEth: parseFloat(process.env.MIN_POOL_LIQUIDITY_ETH) || 10,
+            v3FeeTiers: [100, 500, 3000, 10000]
         };
     }
 
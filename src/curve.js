@@ -0,0 +1,137 @@
+const { ethers } = require('ethers');
+
+const CURVE_POOL_ABI = [
+    'function coins(uint256 i) external view returns (address)',
+    'function balances(uint256 i) external view returns (uint256)',
+    'function A() external view returns (uint256)',
+    'function fee() external view returns (uint256)',
+    'function get_dy(int128 i, int128 j, uint256 dx) external view returns (uint256)'
+];
+
+const FEE_DENOMINATOR = 10000000000n; // Curve fees are in 1e10 units
+const MAX_COINS = 8;
+const MAX_ITERATIONS = 255;
+
+class CurvePool {
+    constructor(address, provider) {
+        this.address = address;
+        this.contract = new ethers.Contract(address, CURVE_POOL_ABI, provider);
+        this.coins = [];
+        this.multipliers = [];
+    }
+
+    // Reads coins(i) until it reverts; plain pools hold 2 to 4 coins
+    async loadMetadata() {
+        const coins = [];
+        for (let i = 0; i < MAX_COINS; i++) {
+            try {
+                coins.push(await this.contract.coins(i));
+            } catch (error) {
+                break;
+            }
+        }
+
+        if (coins.length < 2) {
+            throw new Error('Not a Curve pool: fewer than two coins');
+        }
+
+        this.coins = coins;
+        return { coins };
+    }
+
+    // Balances are normalised to 18 decimals before the invariant is applied
+    setDecimals(decimals) {
+        this.multipliers = decimals.map(d => 10n ** BigInt(18 - d));
+    }
+
+    async fetchState(blockTag = 'latest') {
+        const [balances, amp, fee] = await Promise.all([
+            Promise.all(this.coins.map((coin, i) => this.contract.balances(i, { blockTag }))),
+            this.contract.A({ blockTag }),
+            this.contract.fee({ blockTag })
+        ]);
+
+        return this.buildState(balances, amp, fee);
+    }
+
+    buildState(balances, amp, fee) {
+        return {
+            balances: balances.map(balance => BigInt(balance.toString())),
+            multipliers: this.multipliers,
+            amp: BigInt(amp.toString()),
+            fee: BigInt(fee.toString())
+        };
+    }
+
+    // StableSwap invariant D for normalised balances, as in the pool's get_D
+    static getD(xp, amp) {
+        const n = BigInt(xp.length);
+        const sum = xp.reduce((total, x) => total + x, 0n);
+        if (sum === 0n) return 0n;
+
+        const ann = amp * n;
+        let d = sum;
+        for (let i = 0; i < MAX_ITERATIONS; i++) {
+            let dP = d;
+            for (const x of xp) {
+                dP = (dP * d) / (x * n);
+            }
+
+            const previous = d;
+            d = ((ann * sum + dP * n) * d) / ((ann - 1n) * d + (n + 1n) * dP);
+            if (d - previous <= 1n && previous - d <= 1n) break;
+        }
+        return d;
+    }
+
+    // Balance of coin j that keeps D constant once coin i's balance becomes x
+    static getY(i, j, x, xp, amp) {
+        const n = BigInt(xp.length);
+        const d = CurvePool.getD(xp, amp);
+        const ann = amp * n;
+
+        let c = d;
+        let sum = 0n;
+        for (let k = 0; k < xp.length; k++) {
+            if (k === j) continue;
+            const balance = k === i ? x : xp[k];
+            sum += balance;
+            c = (c * d) / (balance * n);
+        }
+        c = (c * d) / (ann * n);
+        const b = sum + d / ann;
+
+        let y = d;
+        for (let k = 0; k < MAX_ITERATIONS; k++) {
+            const previous = y;
+            y = (y * y + c) / (2n * y + b - d);
+            if (y - previous <= 1n && previous - y <= 1n) break;
+        }
+        return y;
+    }
+
+    // Local equivalent of get_dy(i, j, dx) in raw token units
+    static getDy(state, i, j, dx, withFee = true) {
+        if (dx <= 0n) return 0n;
+
+        const xp = state.balances.map((balance, k) => balance * state.multipliers[k]);
+        const x = xp[i] + dx * state.multipliers[i];
+        const y = CurvePool.getY(i, j, x, xp, state.amp);
+        if (xp[j] <= y + 1n) return 0n;
+
+        const dy = (xp[j] - y - 1n) / state.multipliers[j];
+        const fee = withFee ? (state.fee * dy) / FEE_DENOMINATOR : 0n;
+        return dy - fee;
+    }
+
+    // Marginal price of coin i in coin j, in raw units, from a tiny fee-free swap
+    static spotPrice(state, i, j) {
+        const dx = state.balances[i] / 1000000n || 1n;
+        return Number(CurvePool.getDy(state, i, j, dx, false)) / Number(dx);
+    }
+}
+
+CurvePool.ABI = CURVE_POOL_ABI;
+CurvePool.FEE_DENOMINATOR = FEE_DENOMINATOR;
+
+module.exports = CurvePool;
@@ -0,0 +1,184 @@
+const { ethers } = require('ethers');
+const config = require('./config');
+const logger = require('./logger');
+
+const UNISWAP_V2_FACTORY_ABI = [
+    'function getPair(address tokenA, address tokenB) external view returns (address pair)'
+];
+
+const UNISWAP_V3_FACTORY_ABI = [
+    'function getPool(address tokenA, address tokenB, uint24 fee) external view returns (address pool)'
+];
+
+// Any V2 pair or V3 pool has token0(); an address with no code fails the call
+const POOL_TOKEN0_ABI = [
+    'function token0() external view returns (address)'
+];
+
+class PairDiscovery {
+    constructor(provider, monitor) {
+        this.provider = provider;
+        this.monitor = monitor;
+        this.minLiquidityEth = config.discovery.minLiquidityEth;
+        this.v3FeeTiers = config.discovery.v3FeeTiers;
+    }
+
+    getFactories() {
+        return this.monitor.exchangeRegistry.getAll()
+            .filter(exchange => exchange.factory)
+            .map(exchange => ({ exchange: exchange.name, type: exchange.type, address: exchange.factory }));
+    }
+
+    async discoverPools(tokens) {
+        const candidates = await this.findCandidatePools(tokens);
+        console.log(`🔎 Found ${candidates.length} candidate pools across ${this.getFactories().length} factories`);
+
+        const registered = [];
+        for (const candidate of candidates) {
+            if (this.monitor.watchedPairs.has(candidate.address)) continue;
+
+            if (await this.monitor.addWatchPair(candidate.address, candidate.exchange, candidate.type)) {
+                registered.push(candidate);
+            }
+        }
+
+        if (registered.length > 0) {
+            await this.monitor.fetchAllPrices(registered.map(candidate => candidate.address));
+        }
+
+        const tokenPricesEth = this.monitor.getTokenPricesInEth();
+        const accepted = [];
+
+        for (const candidate of registered) {
+            const liquidityEth = this.estimateLiquidityEth(candidate.address, tokenPricesEth);
+
+            if (liquidityEth === null || liquidityEth < this.minLiquidityEth) {
+                logger.debug('Dropping low-liquidity pool', {
+                    pool: candidate.address,
+                    exchange: candidate.exchange,
+                    liquidityEth
+                });
+                this.monitor.removeWatchPair(candidate.address);
+                continue;
+            }
+
+            accepted.push({ ...candidate, liquidityEth });
+        }
+
+        this.logVenueCoverage(accepted);
+        return accepted;
+    }
+
+    async findCandidatePools(tokens) {
+        const lookups = [];
+
+        for (let i = 0; i < tokens.length; i++) {
+            for (let j = i + 1; j < tokens.length; j++) {
+                for (const factory of this.getFactories()) {
+                    lookups.push(...this.buildLookups(factory, tokens[i], tokens[j]));
+                }
+            }
+        }
+
+        const results = await this.monitor.multicall.aggregate(lookups);
+        const candidates = [];
+
+        results.forEach((result, index) => {
+            if (!result.success) {
+                if (lookups[index].address) return; // Nothing deployed at the computed address
+                logger.warn('Factory lookup failed', {
+                    factory: lookups[index].exchange,
+                    error: result.error
+                });
+                return;
+            }
+
+            // Computed lookups already know the address and only confirm it is deployed
+            const address = lookups[index].address || result.result[0];
+            if (address && address !== ethers.ZeroAddress) {
+                const { contract, method, args, ...candidate } = lookups[index];
+                candidates.push({ ...candidate, address });
+            }
+        });
+
+        return candidates;
+    }
+
+    // Pools whose address the registry can compute are checked for code;
+    // the rest are asked of their factory
+    buildLookups(factory, tokenA, tokenB) {
+        const registry = this.monitor.exchangeRegistry;
+        const fees = factory.type === 'v3' ? this.v3FeeTiers : [null];
+        const computed = fees.map(fee => registry.computePoolAddress(factory.exchange, tokenA, tokenB, fee));
+
+        if (computed.every(Boolean)) {
+            return computed.map((address, index) => ({
+                exchange: factory.exchange,
+                type: factory.type,
+                tokenA,
+                tokenB,
+                ...(factory.type === 'v3' ? { fee: fees[index] } : {}),
+                address,
+                contract: new ethers.Contract(address, POOL_TOKEN0_ABI, this.provider),
+                method: 'token0',
+                args: []
+            }));
+        }
+
+        if (factory.type === 'v3') {
+            const contract = new ethers.Contract(factory.address, UNISWAP_V3_FACTORY_ABI, this.provider);
+            return this.v3FeeTiers.map(fee => ({
+                exchange: factory.exchange,
+                type: 'v3',
+                tokenA,
+                tokenB,
+                fee,
+                contract,
+                method: 'getPool',
+                args: [tokenA, tokenB, fee]
+            }));
+        }
+
+        const contract = new ethers.Contract(factory.address, UNISWAP_V2_FACTORY_ABI, this.provider);
+        return [{
+            exchange: factory.exchange,
+            type: 'v2',
+            tokenA,
+            tokenB,
+            contract,
+            method: 'getPair',
+            args: [tokenA, tokenB]
+        }];
+    }
+
+    estimateLiquidityEth(poolAddress, tokenPricesEth) {
+        const priceData = this.monitor.getCachedPrice(poolAddress);
+        if (!priceData) return null;
+
+        const price0 = tokenPricesEth.get(priceData.token0.toLowerCase());
+        const price1 = tokenPricesEth.get(priceData.token1.toLowerCase());
+        if (!price0 || !price1) return null;
+
+        const valueWei = (BigInt(priceData.reserve0) * price0.numerator) / price0.denominator
+            + (BigInt(priceData.reserve1) * price1.numerator) / price1.denominator;
+        return Number(ethers.formatEther(valueWei));
+    }
+
+    logVenueCoverage(pools) {
+        const venues = new Map();
+
+        for (const pool of pools) {
+            const key = [pool.tokenA, pool.tokenB].map(token => token.toLowerCase()).sort().join('/');
+            if (!venues.has(key)) venues.set(key, []);
+            venues.get(key).push(pool.exchange);
+        }
+
+        for (const [tokenPair, exchanges] of venues) {
+            logger.info('Token pair venues', { tokenPair, venues: exchanges.length, exchanges });
+        }
+
+        console.log(`✅ Watching ${pools.length} pools for ${venues.size} token pairs (min liquidity ${this.minLiquidityEth} ETH)`);
+    }
+}
+
+module.exports = PairDiscovery;
@@ -0,0 +1,107 @@
+const { ethers } = require('ethers');
+const config = require('./config');
+
+// keccak256 of each pool contract's creation code, for CREATE2 addresses
+const UNISWAP_V2_INIT_CODE_HASH = '0x96e8ac4277198ff8b6f785478aa9a39f403cb768dd02cbee326c3e7da348845f';
+const SUSHISWAP_INIT_CODE_HASH = '0xe18a34eb0e04b04f7a0ac29a6e80748dca96319b42c54d679cb821dca90c6303';
+const UNISWAP_V3_INIT_CODE_HASH = '0xe34f199b19b2b4f47f68442619d555527d244f78a3297ea89325f843f87b8b54';
+
+// What the bot knows about each factory-based exchange: where its pools come
+// from and what they charge. Trades never go through the exchanges' routers;
+// the AtomicArbitrage contract swaps on the pools directly.
+class ExchangeRegistry {
+    constructor(exchanges = config.exchanges) {
+        this.exchanges = new Map(); // name -> { name, type, factory, feeBps, initCodeHash }
+
+        this.register({
+            name: 'Uniswap V2',
+            type: 'v2',
+            factory: exchanges.uniswapV2Factory,
+            feeBps: 30,
+            initCodeHash: UNISWAP_V2_INIT_CODE_HASH
+        });
+        this.register({
+            name: 'SushiSwap',
+            type: 'v2',
+            factory: exchanges.sushiswapFactory,
+            feeBps: 30,
+            initCodeHash: SUSHISWAP_INIT_CODE_HASH
+        });
+        // Fees are per pool
+        this.register({
+            name: 'Uniswap V3',
+            type: 'v3',
+            factory: exchanges.uniswapV3Factory,
+            initCodeHash: UNISWAP_V3_INIT_CODE_HASH
+        });
+
+        // Listing a built-in name here overrides just the fields it sets
+        for (const fork of exchanges.additionalV2Factories) {
+            this.register({
+                name: fork.name,
+                type: 'v2',
+                factory: fork.address,
+                feeBps: fork.feeBps,
+                initCodeHash: fork.initCodeHash
+            });
+        }
+    }
+
+    register(exchange) {
+        const entry = this.exchanges.get(exchange.name) || {
+            name: exchange.name,
+            type: exchange.type,
+            factory: null,
+            feeBps: null,
+            initCodeHash: null
+        };
+
+        for (const field of ['factory', 'feeBps', 'initCodeHash']) {
+            if (exchange[field] !== undefined && exchange[field] !== null) entry[field] = exchange[field];
+        }
+        this.exchanges.set(exchange.name, entry);
+        return entry;
+    }
+
+    get(name) {
+        return this.exchanges.get(name) || null;
+    }
+
+    getAll() {
+        return Array.from(this.exchanges.values());
+    }
+
+    getFeeBps(name) {
+        const exchange = this.get(name);
+        return exchange ? exchange.feeBps : null;
+    }
+
+    // CREATE2 address of the exchange's pool for a token pair (and fee tier
+    // on V3), or null when its factory or init code hash is unknown
+    computePoolAddress(name, tokenA, tokenB, fee = null) {
+        const exchange = this.get(name);
+        if (!exchange || !exchange.factory || !exchange.initCodeHash) return null;
+
+        const [token0, token1] = tokenA.toLowerCase() < tokenB.toLowerCase() ? [tokenA, tokenB] : [tokenB, tokenA];
+        const salt = exchange.type === 'v3'
+            ? ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(['address', 'address', 'uint24'], [token0, token1, fee]))
+            : ethers.solidityPackedKeccak256(['address', 'address'], [token0, token1]);
+
+        return ethers.getCreate2Address(exchange.factory, salt, exchange.initCodeHash);
+    }
+
+    // Name of the exchange whose factory deployed this pool, or null
+    identifyPool(address, type, tokenA, tokenB, fee = null) {
+        const target = address.toLowerCase();
+
+        for (const exchange of this.exchanges.values()) {
+            if (exchange.type !== type) continue;
+
+            const computed = this.computePoolAddress(exchange.name, tokenA, tokenB, fee);
+            if (computed && computed.toLowerCase() === target) return exchange.name;
+        }
+        return null;
+    }
+}
+
+module.exports = ExchangeRegistry;
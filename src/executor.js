@@ -1,13 +1,11 @@
 const { ethers } = require('ethers');
 const config = require('./config');
-
-// Simplified Uniswap V2 Router ABI - just what we need
-const UNISWAP_V2_ROUTER_ABI = [
-    'function swapExactTokensForTokens(uint amountIn, uint amountOutMin, address[] calldata path, address to, uint deadline) external returns (uint[] memory amounts)',
-    'function swapTokensForExactTokens(uint amountOut, uint amountInMax, address[] calldata path, address to, uint deadline) external returns (uint[] memory amounts)',
-    'function getAmountsOut(uint amountIn, address[] calldata path) external view returns (uint[] memory amounts)',
-    'function getAmountsIn(uint amountOut, address[] calldata path) external view returns (uint[] memory amounts)'
-];
+const AtomicArbitrageBuilder = require('./atomic');
+const TradeSimulator = require('./simulator');
+const BundleRelay = require('./relay');
+const NonceManager = require('./nonce');
+const PnlCalculator = require('./pnl');
+const GasOptimizer = require('./gas');
 
 // ERC20 ABI for token operations
 const ERC20_ABI = [
@@ -17,17 +15,46 @@ const ERC20_ABI = [
 ];
 
 class ArbitrageExecutor {
-    constructor(provider, wallet) {
+    constructor(provider, wallet, gasOptimizer = null) {
         this.provider = provider;
         this.wallet = wallet;
-        this.gasLimit = 300000; // Standard gas limit for swaps
-        
-        // Uniswap V2 Router address
-        this.uniswapRouter = '0x7a250d5630B4cF539739dF2C5dAcb4c659F2488D';
-        this.routerContract = new ethers.Contract(this.uniswapRouter, UNISWAP_V2_ROUTER_ABI, this.wallet);
+        this.simulationGasLimit = 2000000; // Generous, so a low route estimate cannot fail the simulation
+        this.approvedTokens = new Set(); // Tokens the contract may spend without limit
+
+        // Routes run as one call to the arbitrage contract; in flash mode they
+        // are funded by a loan taken inside that call
+        this.executionMode = config.execution.mode;
+        this.arbitrageBuilder = new AtomicArbitrageBuilder();
+
+        this.simulator = config.execution.forkRpcUrl
+            ? new TradeSimulator(new ethers.JsonRpcProvider(config.execution.forkRpcUrl))
+            : null;
+        this.simulationTolerance = config.execution.simulationTolerance;
+
+        // Private submission keeps our transactions out of the public mempool
+        this.relay = config.relay.url ? new BundleRelay(config.relay.url) : null;
+
+        // Fees for every transaction come from the fee strategy; replacements
+        // of stuck ones bid at 'urgent', so first attempts leave room below it
+        this.gasOptimizer = gasOptimizer || new GasOptimizer(provider);
+        this.gasUrgency = 'high';
+
+        // Every transaction takes its nonce here, so concurrent trades never collide
+        this.nonceManager = wallet ? new NonceManager(wallet, this.gasOptimizer) : null;
+
+        // Set by the bot in paper-trading mode; fills then go to its virtual portfolio
+        this.paperTrader = null;
+    }
+
+    isFlashMode() {
+        return this.executionMode === 'flash';
     }
 
     async executeArbitrage(opportunity) {
+        if (this.paperTrader) {
+            return this.executePaperTrade(opportunity);
+        }
+
         if (!this.wallet) {
             console.log('⚠️  Cannot execute arbitrage - no wallet configured');
             return null;
@@ -36,15 +63,15 @@ class ArbitrageExecutor {
         console.log(`🚀 Attempting arbitrage execution: ${opportunity.profitPercent.toFixed(2)}% profit`);
         
         try {
-            // Calculate optimal trade size
-            const tradeAmount = await this.calculateOptimalTradeSize(opportunity);
-            if (!tradeAmount) {
-                console.log('❌ Could not calculate optimal trade size');
-                return null;
+            // The opportunity has already been sized by calculateOptimalTradeSize
+            const tradeAmount = BigInt(opportunity.amountIn);
+
+            if (this.isFlashMode()) {
+                return await this.performFlashArbitrage(opportunity, tradeAmount);
             }
 
             // Check if we have enough balance
-            const hasEnoughBalance = await this.checkBalance(opportunity.token0, tradeAmount);
+            const hasEnoughBalance = await this.checkBalance(opportunity.tokenIn, tradeAmount);
             if (!hasEnoughBalance) {
                 console.log('❌ Insufficient balance for arbitrage');
                 return null;
@@ -60,29 +87,70 @@ class ArbitrageExecutor {
         }
     }
 
-    async calculateOptimalTradeSize(opportunity) {
+    async executePaperTrade(opportunity) {
+        console.log(`📝 Paper trading arbitrage: ${opportunity.profitPercent.toFixed(2)}% profit`);
+
         try {
-            // For simplicity, start with a small fixed amount (0.1 ETH worth)
-            // In production, this would use more sophisticated calculations
-            return ethers.parseEther('0.1');
+            // Paper trades pay what the live bid would expect to, so both PnLs agree
+            const gasUsed = this.getRouteGas(opportunity).gasUsed;
+            const bid = await this.getProfitBid(opportunity, gasUsed);
+            if (!bid) {
+                console.log('❌ Base fee leaves no profit to bid with');
+                return null;
+            }
+
+            const plan = this.isFlashMode() ? this.arbitrageBuilder.buildPlan(opportunity) : null;
+            return await this.paperTrader.fill(opportunity, BigInt(opportunity.amountIn), {
+                gasUsed,
+                gasPrice: bid.gasPrice,
+                borrowed: this.isFlashMode(),
+                loanFee: plan ? plan.loanFee : 0n
+            });
+        } catch (error) {
+            console.error('❌ Paper trade failed:', error.message);
+            return null;
+        }
+    }
+
+    // Caps the opportunity's profit-maximising input by the risk limit
+    // (maxTradeSizeWei, in ETH) and, unless the trade is flash funded, by
+    // what the wallet (or paper portfolio) actually holds
+    async calculateOptimalTradeSize(opportunity, maxTradeSizeWei = null) {
+        try {
+            let tradeSize = BigInt(opportunity.amountIn);
+
+            const rate = opportunity.tokenInEthRate;
+            if (maxTradeSizeWei !== null && rate && rate.numerator > 0n) {
+                const riskCap = (BigInt(maxTradeSizeWei) * rate.denominator) / rate.numerator;
+                if (riskCap < tradeSize) tradeSize = riskCap;
+            }
+
+            if (this.paperTrader && !this.isFlashMode()) {
+                const balance = this.paperTrader.getBalance(opportunity.tokenIn);
+                if (balance < tradeSize) tradeSize = balance;
+            } else if (this.wallet && !this.isFlashMode()) {
+                const balance = await this.getTokenBalance(opportunity.tokenIn);
+                if (balance < tradeSize) tradeSize = balance;
+            }
+
+            return tradeSize > 0n ? tradeSize : null;
         } catch (error) {
             console.error('Error calculating trade size:', error.message);
             return null;
         }
     }
 
+    // The contract pulls the input with transferFrom, so even for WETH only
+    // the token balance counts, not the wallet's ETH
+    async getTokenBalance(tokenAddress) {
+        const tokenContract = new ethers.Contract(tokenAddress, ERC20_ABI, this.provider);
+        return await tokenContract.balanceOf(this.wallet.address);
+    }
+
     async checkBalance(tokenAddress, requiredAmount) {
         try {
-            if (tokenAddress === ethers.ZeroAddress || tokenAddress.toLowerCase() === '0xc02aaa39b223fe8d0a0e5c4f27ead9083c756cc2') {
-                // ETH or WETH
-                const balance = await this.provider.getBalance(this.wallet.address);
-                return balance >= requiredAmount;
-            } else {
-                // ERC20 token
-                const tokenContract = new ethers.Contract(tokenAddress, ERC20_ABI, this.provider);
-                const balance = await tokenContract.balanceOf(this.wallet.address);
-                return balance >= requiredAmount;
-            }
+            const balance = await this.getTokenBalance(tokenAddress);
+            return balance >= requiredAmount;
         } catch (error) {
             console.error('Error checking balance:', error.message);
             return false;
@@ -90,21 +158,37 @@ class ArbitrageExecutor {
     }
 
     async performArbitrageTrade(opportunity, tradeAmount) {
-        console.log('📊 Simulating arbitrage trade (not actually executing)...');
-        
-        // In a real implementation, this would:
-        // 1. Approve tokens if necessary
-        // 2. Calculate exact amounts with slippage
-        // 3. Execute first swap on exchange 1
-        // 4. Execute second swap on exchange 2
-        // 5. Calculate actual profit
-        
+        if (!this.arbitrageBuilder.contractAddress) {
+            return this.simulateArbitrageTrade(opportunity, tradeAmount);
+        }
+
+        const call = this.arbitrageBuilder.buildDirectCall(opportunity);
+        if (!call) {
+            console.log('⚠️  Route has legs the arbitrage contract cannot execute');
+            return null;
+        }
+
+        // The approval is a one-off setup transaction, sent only once the
+        // trade has passed simulation and has fees to bid with
+        const approvalNeeded = await this.needsApproval(opportunity.tokenIn, tradeAmount);
+        return this.sendArbitrageCall(opportunity, tradeAmount, call, approvalNeeded);
+    }
+
+    // Without a deployed arbitrage contract nothing is sent and the
+    // monitor's estimate is reported as is
+    async simulateArbitrageTrade(opportunity, tradeAmount) {
+        console.log('📊 Simulating arbitrage trade (ARBITRAGE_CONTRACT not configured)...');
+
         const simulatedResult = {
             success: true,
             tradeAmount: tradeAmount.toString(),
-            estimatedProfit: opportunity.profitPercent,
-            gasUsed: this.gasLimit,
-            exchangeUsed: [opportunity.pair1.exchange, opportunity.pair2.exchange],
+            tradeSizeWei: opportunity.tradeSizeWei,
+            estimatedProfit: opportunity.netProfitEth,
+            estimatedProfitWei: opportunity.netProfitWei,
+            gasUsed: this.getRouteGas(opportunity).gasUsed,
+            exchangeUsed: opportunity.legs.map(leg => leg.exchange),
+            realizedPnlWei: null, // Nothing was mined
+            blockNumber: opportunity.blockNumber, // A simulated fill is only valid on the block it was priced at
             timestamp: Date.now()
         };
 
@@ -112,10 +196,286 @@ class ArbitrageExecutor {
         return simulatedResult;
     }
 
-    async estimateGasCost() {
+    // Wallet-funded trades need the contract to be allowed to pull the input.
+    // Unlimited allowances are remembered, since transfers do not reduce them.
+    async needsApproval(tokenAddress, amount) {
+        if (this.isFlashMode() || !this.wallet || !this.arbitrageBuilder.contractAddress) return false;
+        if (this.approvedTokens.has(tokenAddress.toLowerCase())) return false;
+
+        const tokenContract = new ethers.Contract(tokenAddress, ERC20_ABI, this.provider);
+        const allowance = await tokenContract.allowance(this.wallet.address, this.arbitrageBuilder.contractAddress);
+        if (allowance === ethers.MaxUint256) this.approvedTokens.add(tokenAddress.toLowerCase());
+        return allowance < amount;
+    }
+
+    // The contract pulls the input from the wallet. Returns whether it may.
+    async ensureAllowance(tokenAddress, amount) {
+        if (!await this.needsApproval(tokenAddress, amount)) return true;
+
+        console.log('🔓 Approving arbitrage contract to spend input token...');
+        const tokenContract = new ethers.Contract(tokenAddress, ERC20_ABI, this.wallet);
+        const approval = await tokenContract.approve.populateTransaction(this.arbitrageBuilder.contractAddress, ethers.MaxUint256);
+        const gasLimit = await this.gasOptimizer.estimateTransactionGas(
+            { ...approval, from: this.wallet.address },
+            this.gasOptimizer.getGasLimit(this.gasOptimizer.estimateApprovalGas())
+        );
+
+        const tx = await this.nonceManager.sendTransaction({ ...approval, gasLimit, ...await this.getTransactionFees() });
+        const receipt = await this.nonceManager.waitForTransaction(tx.nonce);
+        if (!receipt || receipt.status !== 1) return false;
+
+        this.approvedTokens.add(tokenAddress.toLowerCase());
+        return true;
+    }
+
+    async performFlashArbitrage(opportunity, tradeAmount) {
+        if (!this.arbitrageBuilder.contractAddress) {
+            console.log('⚠️  Cannot flash-fund arbitrage - ARBITRAGE_CONTRACT not configured');
+            return null;
+        }
+
+        const plan = this.arbitrageBuilder.buildPlan(opportunity);
+        if (!plan) {
+            console.log('⚠️  Route has legs the arbitrage contract cannot execute');
+            return null;
+        }
+        if (plan.expectedProfit <= 0n) {
+            console.log('❌ Route does not cover the flash loan fee');
+            return null;
+        }
+
+        return this.sendArbitrageCall(opportunity, tradeAmount, plan);
+    }
+
+    // Sends every leg as one transaction; the contract reverts it if the
+    // route comes back below the call's minimum profit. approvalNeeded
+    // trades approve the contract first, once everything else has passed.
+    async sendArbitrageCall(opportunity, tradeAmount, call, approvalNeeded = false) {
+        let simulation = null;
+        if (this.simulator) {
+            simulation = await this.simulateCall(opportunity, call, approvalNeeded);
+            if (!simulation) return null;
+        }
+
+        // The fork measured this exact call; otherwise go by the route's shape
+        const gasUsed = simulation ? simulation.gasUsed : this.getRouteGas(opportunity).gasUsed;
+        const gasLimit = this.gasOptimizer.getGasLimit(gasUsed);
+
+        const fees = await this.getTransactionFees(opportunity, gasUsed);
+        if (!fees) {
+            console.log('❌ Base fee leaves no profit to bid with');
+            return null;
+        }
+
+        if (approvalNeeded && !await this.ensureAllowance(opportunity.tokenIn, tradeAmount)) {
+            console.log('❌ Approval of the arbitrage contract failed');
+            return null;
+        }
+
+        let receipt;
+        if (this.relay) {
+            receipt = await this.submitBundle(opportunity, call, { gasLimit, ...fees });
+            if (!receipt) return null;
+        } else {
+            console.log(`⚡ Sending atomic arbitrage (${call.source} funded)...`);
+            const maxFeeCap = this.getBreakEvenGasPrice(opportunity, gasUsed);
+            const tx = await this.nonceManager.sendTransaction({ to: call.to, data: call.data, gasLimit, ...fees }, { maxFeeCap });
+            receipt = await this.nonceManager.waitForTransaction(tx.nonce);
+            if (!receipt) {
+                console.log('❌ Arbitrage transaction was cancelled or its nonce was used elsewhere');
+                return null;
+            }
+        }
+
+        const pnl = PnlCalculator.fromReceipt(receipt, opportunity, this.getProfitRecipient(call));
+        if (receipt.status === 1) {
+            // Reverts stop early, so only mined trades say what the route costs
+            this.gasOptimizer.recordRouteGas(opportunity.legs, call.source, receipt.gasUsed);
+        }
+
+        const result = {
+            success: receipt.status === 1,
+            txHash: receipt.hash,
+            tradeAmount: tradeAmount.toString(),
+            tradeSizeWei: opportunity.tradeSizeWei,
+            fundingSource: call.source,
+            loanFee: call.loanFee.toString(),
+            estimatedProfit: opportunity.netProfitEth,
+            estimatedProfitWei: opportunity.netProfitWei,
+            simulatedProfit: simulation ? simulation.profit.toString() : null,
+            // Realized from the receipt logs, in tokenIn and in ETH wei
+            tokensReceived: pnl.tokensReceived,
+            legAmounts: pnl.legAmounts,
+            realizedProfitWei: pnl.profitWei,
+            gasCostWei: pnl.gasCostWei,
+            realizedPnlWei: pnl.pnlWei,
+            gasUsed: receipt.gasUsed,
+            exchangeUsed: opportunity.legs.map(leg => leg.exchange),
+            blockNumber: receipt.blockNumber,
+            timestamp: Date.now()
+        };
+
+        console.log(result.success
+            ? `✅ Arbitrage confirmed in block ${receipt.blockNumber} - realized ${ethers.formatEther(pnl.pnlWei)} ETH after gas`
+            : `❌ Arbitrage reverted in block ${receipt.blockNumber} - lost ${ethers.formatEther(pnl.gasCostWei)} ETH in gas`);
+        return result;
+    }
+
+    // Flash-funded profit stays in the contract until withdrawn
+    getProfitRecipient(call) {
+        return call.source === 'wallet' ? this.wallet.address : call.to;
+    }
+
+    // Sends the signed call to the relay for each block until it is mined or
+    // the opportunity's snapshot would be stale. Returns the receipt, or null
+    // when the bundle fails relay simulation or is never included.
+    // `gas` holds the gas limit and fee fields of the transaction.
+    async submitBundle(opportunity, call, gas) {
+        const currentBlock = await this.provider.getBlockNumber();
+        const firstBlock = currentBlock + 1;
+        const lastBlock = (opportunity.blockNumber ?? currentBlock) + config.mev.maxSnapshotAge + 1;
+        if (firstBlock > lastBlock) {
+            console.log('❌ Opportunity expired before it could be bundled');
+            return null;
+        }
+
+        const nonce = await this.nonceManager.getNonce();
         try {
-            const gasPrice = await this.provider.getFeeData();
-            const estimatedCost = BigInt(this.gasLimit) * gasPrice.gasPrice;
+            const request = await this.wallet.populateTransaction({ to: call.to, data: call.data, nonce, ...gas });
+            const signedTransaction = await this.wallet.signTransaction(request);
+
+            const check = await this.relay.callBundle([signedTransaction], firstBlock, currentBlock);
+            const failed = (check.results || []).find(result => result.error || result.revert);
+            if (failed) {
+                this.nonceManager.release(nonce);
+                console.log(`❌ Relay simulation failed: ${failed.revert || failed.error}`);
+                return null;
+            }
+
+            console.log(`📦 Submitting arbitrage bundle (${call.source} funded) for blocks ${firstBlock}-${lastBlock}...`);
+            const submission = await this.relay.submitUntilIncluded([signedTransaction], this.provider, firstBlock, lastBlock);
+            if (!submission.included) {
+                // Bundles never reach the mempool, so the nonce is still free
+                this.nonceManager.release(nonce);
+                if (submission.timedOut) {
+                    console.log(`⌛ No new block within ${this.relay.blockTimeout / 1000}s - bundle submission stopped`);
+                } else {
+                    console.log(`⌛ Bundle not included after ${submission.attempts} blocks - opportunity expired`);
+                }
+                return null;
+            }
+
+            return submission.receipt;
+        } catch (error) {
+            // A relay or signing error sent nothing, so the nonce is still free
+            this.nonceManager.release(nonce);
+            throw error;
+        }
+    }
+
+    // Runs the exact call on the fork at the block the opportunity was priced
+    // at. Returns null when it reverts or its profit strays from the estimate
+    // by more than the configured tolerance. Before the first approval the
+    // allowance is overridden, since at that block the contract has none.
+    async simulateCall(opportunity, call, approvalNeeded = false) {
+        const blockTag = opportunity.blockNumber ?? 'latest';
+
+        let stateOverrides = null;
+        if (approvalNeeded) {
+            stateOverrides = await this.simulator.getAllowanceOverride(
+                opportunity.tokenIn, this.wallet.address, this.arbitrageBuilder.contractAddress, blockTag
+            );
+            if (!stateOverrides) {
+                console.log('❌ Cannot simulate before approval - allowance storage of the input token not found');
+                return null;
+            }
+        }
+
+        const simulation = await this.simulator.simulate(
+            { from: this.wallet.address, to: call.to, data: call.data, gas: this.simulationGasLimit },
+            {
+                blockTag,
+                tokenIn: opportunity.tokenIn,
+                profitRecipient: this.getProfitRecipient(call),
+                stateOverrides
+            }
+        );
+
+        if (!simulation.success) {
+            console.log(`❌ Simulation reverted: ${simulation.revertReason}`);
+            return null;
+        }
+
+        const deviation = TradeSimulator.getDeviationPercent(simulation.profit, call.expectedProfit);
+        if (deviation > this.simulationTolerance) {
+            console.log(`❌ Simulated profit ${simulation.profit} is ${deviation.toFixed(2)}% away from the estimate ${call.expectedProfit}`);
+            return null;
+        }
+
+        console.log(`🧪 Simulation passed - gas used ${simulation.gasUsed}, profit within ${deviation.toFixed(2)}% of estimate`);
+        return simulation;
+    }
+
+    // Flash loan fee in ETH wei; null when the route cannot be flash funded
+    // or tokenIn has no ETH price
+    getLoanFeeWei(opportunity) {
+        const plan = this.arbitrageBuilder.buildPlan(opportunity);
+        const rate = opportunity.tokenInEthRate;
+        if (!plan || !rate) return null;
+        return (plan.loanFee * rate.numerator) / rate.denominator;
+    }
+
+    // Fee fields for a transaction request: a maxFeePerGas/maxPriorityFeePerGas
+    // pair, or a gas price on chains without EIP-1559. Trades bid in
+    // proportion to their profit, and get null when there is none left to
+    // bid with.
+    async getTransactionFees(opportunity = null, gasUsed) {
+        const fees = opportunity
+            ? await this.getProfitBid(opportunity, gasUsed)
+            : await this.gasOptimizer.getOptimalGasPrice(this.gasUrgency);
+        if (!fees) return opportunity ? null : {};
+
+        return fees.maxFeePerGas !== null
+            ? { maxFeePerGas: fees.maxFeePerGas, maxPriorityFeePerGas: fees.maxPriorityFeePerGas }
+            : { gasPrice: fees.gasPrice };
+    }
+
+    // Gas price at which the trade's whole profit goes to gas; speed-ups of
+    // its transaction never bid above it
+    getBreakEvenGasPrice(opportunity, gasUsed) {
+        const netProfitWei = this.getNetProfitWei(opportunity);
+        return netProfitWei === null ? null : netProfitWei / BigInt(gasUsed);
+    }
+
+    async getProfitBid(opportunity, gasUsed = this.getRouteGas(opportunity).gasUsed) {
+        const netProfitWei = this.getNetProfitWei(opportunity);
+        if (netProfitWei === null || netProfitWei <= 0n) return null;
+
+        return this.gasOptimizer.getProfitBid(netProfitWei, gasUsed, this.gasUrgency);
+    }
+
+    // Expected gas and gas limit of the route, funded the way this executor
+    // would fund it
+    getRouteGas(opportunity) {
+        const funding = this.isFlashMode() ? AtomicArbitrageBuilder.getFlashSource(opportunity.legs) : 'wallet';
+        const gasUsed = this.gasOptimizer.estimateRouteGas(opportunity.legs, funding);
+        return { funding, gasUsed, gasLimit: this.gasOptimizer.getGasLimit(gasUsed) };
+    }
+
+    // What the trade's bid expects to pay for the route's gas in the next
+    // block, plus the approval a token's first trade needs. Null when the
+    // base fee leaves nothing to bid with.
+    async estimateGasCost(opportunity) {
+        try {
+            const fees = await this.getProfitBid(opportunity);
+            if (!fees) return null;
+
+            let gas = this.getRouteGas(opportunity).gasUsed;
+            if (await this.needsApproval(opportunity.tokenIn, BigInt(opportunity.amountIn))) {
+                gas += this.gasOptimizer.estimateApprovalGas();
+            }
+
+            const estimatedCost = gas * fees.gasPrice;
             return estimatedCost;
         } catch (error) {
             console.error('Error estimating gas cost:', error.message);
@@ -123,16 +483,30 @@ class ArbitrageExecutor {
         }
     }
 
+    // Profit in ETH wei after every swap fee and, in flash mode, the loan
+    // fee; null when it cannot be valued in ETH
+    getNetProfitWei(opportunity) {
+        if (opportunity.netProfitWei === null || opportunity.netProfitWei === undefined) {
+            return null;
+        }
+
+        let netProfitWei = opportunity.netProfitWei;
+        if (this.isFlashMode()) {
+            const loanFeeWei = this.getLoanFeeWei(opportunity);
+            if (loanFeeWei === null) return null;
+            netProfitWei -= loanFeeWei;
+        }
+        return netProfitWei;
+    }
+
     async isArbitrageProfitable(opportunity) {
-        const gasCost = await this.estimateGasCost();
-        const gasCostEth = Number(ethers.formatEther(gasCost));
-        const minProfitEth = config.mev.minProfitEth;
-        
-        // Simple profitability check
-        const estimatedProfitEth = (opportunity.profitPercent / 100) * 0.1; // Assuming 0.1 ETH trade
-        const netProfit = estimatedProfitEth - gasCostEth;
-        
-        return netProfit >= minProfitEth;
+        const netProfitWei = this.getNetProfitWei(opportunity);
+        if (netProfitWei === null) return false;
+
+        const gasCost = await this.estimateGasCost(opportunity);
+        if (gasCost === null) return false;
+
+        return netProfitWei - gasCost >= config.mev.minProfitWei;
     }
 }
 
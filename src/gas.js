@@ -2,12 +2,42 @@ const { ethers } = require('ethers');
 const config = require('./config');
 const logger = require('./logger');
 
+// Priority-fee percentile each urgency bids at, and how many blocks of
+// maximum base-fee growth its maxFeePerGas absorbs before it is outbid
+const URGENCY_LEVELS = {
+    low: { percentile: 10, blocks: 1 },
+    normal: { percentile: 50, blocks: 2 },
+    high: { percentile: 75, blocks: 3 },
+    urgent: { percentile: 90, blocks: 4 }
+};
+
+// Gas of each part of an AtomicArbitrage call, used for a route shape until
+// receipts of that shape have been seen
+const ROUTE_GAS = {
+    base: 45000n, // Intrinsic cost, call overhead and the minimum-profit check
+    funding: { wallet: 30000n, 'uniswap-v2-flash-swap': 25000n, 'aave-flash-loan': 90000n },
+    legs: { v2: 65000n, v3: 110000n, curve: 140000n, balancer: 120000n },
+    approval: 46000n // The separate approve transaction before a token's first trade
+};
+
+// Most blocks one eth_feeHistory call may return on common nodes
+const FEE_HISTORY_MAX_BLOCKS = 1024;
+
+// Post-merge slot time, to turn the history retention period into blocks
+const SLOT_MS = 12000;
+
 class GasOptimizer {
-    constructor(provider) {
+    constructor(provider, historyStore = null) {
         this.provider = provider;
+        this.historyStore = historyStore; // GasHistoryStore the fee history windows are persisted to
         this.maxGasPrice = ethers.parseUnits(config.mev.maxGasPrice.toString(), 'gwei');
         this.gasHistory = [];
         this.maxHistorySize = 10;
+        this.feeHistoryBlocks = 20;
+        this.feeHistory = null; // Latest eth_feeHistory window; null on chains without EIP-1559
+        this.bidShareBps = BigInt(Math.round(Math.min(Math.max(config.mev.bidProfitShare, 0), 100) * 100));
+        this.gasLimitBuffer = 120n; // Percent of the expected gas a transaction may use
+        this.routeGas = new Map(); // route shape -> gas used, calibrated from receipts
     }
 
     async getCurrentGasPrice() {
@@ -36,7 +66,171 @@ class GasOptimizer {
         }
     }
 
+    // Base fees (one more than the blocks, ending with the next block's) and
+    // the URGENCY_LEVELS reward percentiles of the last feeHistoryBlocks blocks
+    async getFeeHistory() {
+        return this.getFeeHistoryWindow(this.feeHistoryBlocks, 'latest');
+    }
+
+    async getFeeHistoryWindow(blockCount, newestBlock) {
+        const percentiles = Object.values(URGENCY_LEVELS).map(level => level.percentile);
+        const newest = newestBlock === 'latest' ? newestBlock : ethers.toQuantity(newestBlock);
+        const history = await this.provider.send('eth_feeHistory', [ethers.toQuantity(blockCount), newest, percentiles]);
+
+        const baseFees = history.baseFeePerGas.map(fee => BigInt(fee));
+        if (baseFees[baseFees.length - 1] === 0n) return null; // Pre-London chain
+
+        return {
+            oldestBlock: Number(history.oldestBlock),
+            baseFees,
+            gasUsedRatios: history.gasUsedRatio,
+            rewards: (history.reward || []).map(block => block.map(reward => BigInt(reward)))
+        };
+    }
+
+    async refreshFeeHistory() {
+        try {
+            this.feeHistory = await this.getFeeHistory();
+        } catch (error) {
+            logger.debug('Fee history unavailable, using legacy gas price', { error: error.message });
+            this.feeHistory = null;
+        }
+    }
+
+    // Persists every block after the last stored one up to headNumber, in
+    // windows of at most FEE_HISTORY_MAX_BLOCKS. A first run, or a gap longer
+    // than the retention period, starts feeHistoryBlocks back or at the
+    // retention cutoff.
+    async recordFeeHistory(headNumber) {
+        if (!this.historyStore) return 0;
+
+        const store = this.historyStore;
+        const retentionBlocks = Math.ceil(store.retentionMs / SLOT_MS);
+        let from = store.lastBlockNumber > 0
+            ? Math.max(store.lastBlockNumber + 1, headNumber - retentionBlocks + 1)
+            : Math.max(headNumber - this.feeHistoryBlocks + 1, 0);
+        let recorded = 0;
+
+        while (from <= headNumber) {
+            const newest = Math.min(from + FEE_HISTORY_MAX_BLOCKS - 1, headNumber);
+            const feeHistory = await this.getFeeHistoryWindow(newest - from + 1, newest);
+            if (!feeHistory || feeHistory.gasUsedRatios.length === 0) break;
+
+            const timestamps = await this.getWindowTimestamps(feeHistory);
+            recorded += store.record(GasOptimizer.getBlockObservations(feeHistory, timestamps));
+            from = feeHistory.oldestBlock + feeHistory.gasUsedRatios.length;
+        }
+        return recorded;
+    }
+
+    // Real timestamps of a window's first and last block, in milliseconds
+    async getWindowTimestamps(feeHistory) {
+        const oldestNumber = feeHistory.oldestBlock;
+        const newestNumber = oldestNumber + feeHistory.gasUsedRatios.length - 1;
+        const newest = await this.provider.getBlock(newestNumber);
+        const oldest = newestNumber === oldestNumber ? newest : await this.provider.getBlock(oldestNumber);
+        if (!oldest || !newest) throw new Error(`Block ${oldest ? newestNumber : oldestNumber} not found`);
+
+        return { oldest: oldest.timestamp * 1000, newest: newest.timestamp * 1000 };
+    }
+
+    // One observation per block of a fee history window. Blocks between the
+    // first and last are stamped by interpolating their real timestamps.
+    static getBlockObservations(feeHistory, timestamps) {
+        const percentiles = Object.values(URGENCY_LEVELS).map(level => level.percentile);
+        const span = feeHistory.gasUsedRatios.length - 1;
+
+        return feeHistory.gasUsedRatios.map((gasUsedRatio, index) => {
+            const priorityFees = {};
+            percentiles.forEach((percentile, percentileIndex) => {
+                if (feeHistory.rewards[index]) priorityFees[percentile] = feeHistory.rewards[index][percentileIndex];
+            });
+
+            return {
+                blockNumber: feeHistory.oldestBlock + index,
+                timestamp: span === 0
+                    ? timestamps.newest
+                    : Math.round(timestamps.oldest + (timestamps.newest - timestamps.oldest) * index / span),
+                baseFeePerGas: feeHistory.baseFees[index],
+                gasUsedRatio,
+                priorityFees
+            };
+        });
+    }
+
+    // Median reward at one percentile across the blocks that had
+    // transactions, or null when every block was empty
+    static getMedianReward(feeHistory, percentileIndex) {
+        const rewards = feeHistory.rewards
+            .filter((block, index) => feeHistory.gasUsedRatios[index] > 0)
+            .map(block => block[percentileIndex])
+            .sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+        if (rewards.length === 0) return null;
+
+        return rewards[Math.floor(rewards.length / 2)];
+    }
+
+    static getUrgencyLevel(urgency) {
+        const name = URGENCY_LEVELS[urgency] ? urgency : 'normal';
+        return { name, index: Object.keys(URGENCY_LEVELS).indexOf(name), ...URGENCY_LEVELS[name] };
+    }
+
+    // The last fee history entry is the base fee of the next block
+    getNextBaseFee() {
+        return this.feeHistory.baseFees[this.feeHistory.baseFees.length - 1];
+    }
+
+    // Highest base fee `blocks` blocks from now can have, at 12.5% growth a block
+    static getBaseFeeCeiling(nextBaseFee, blocks) {
+        let ceiling = nextBaseFee;
+        for (let i = 1; i < blocks; i++) {
+            ceiling = (ceiling * 1125n) / 1000n;
+        }
+        return ceiling;
+    }
+
+    // Type-2 fees from the latest fee history: the priority fee recent blocks
+    // paid at the urgency's percentile, on top of the next block's base fee
+    // grown by 12.5% (the most one block can add) for each extra block the
+    // transaction should stay includable. gasPrice is what it is expected to
+    // pay per gas in the next block.
+    calculateEip1559Fees(urgency) {
+        const level = GasOptimizer.getUrgencyLevel(urgency);
+        const nextBaseFee = this.getNextBaseFee();
+
+        const recent = this.gasHistory[this.gasHistory.length - 1];
+        let maxPriorityFeePerGas = GasOptimizer.getMedianReward(this.feeHistory, level.index)
+            ?? (recent && recent.maxPriorityFeePerGas)
+            ?? 0n;
+        let maxFeePerGas = GasOptimizer.getBaseFeeCeiling(nextBaseFee, level.blocks) + maxPriorityFeePerGas;
+
+        // Ensure it doesn't exceed our maximum
+        if (maxFeePerGas > this.maxGasPrice) maxFeePerGas = this.maxGasPrice;
+        if (maxPriorityFeePerGas > maxFeePerGas) maxPriorityFeePerGas = maxFeePerGas;
+        const expected = nextBaseFee + maxPriorityFeePerGas;
+
+        logger.debug('EIP-1559 fees calculated', {
+            urgency: level.name,
+            nextBaseFee: ethers.formatUnits(nextBaseFee, 'gwei'),
+            maxFeePerGas: ethers.formatUnits(maxFeePerGas, 'gwei'),
+            maxPriorityFeePerGas: ethers.formatUnits(maxPriorityFeePerGas, 'gwei')
+        });
+
+        return {
+            gasPrice: expected < maxFeePerGas ? expected : maxFeePerGas,
+            maxFeePerGas,
+            maxPriorityFeePerGas,
+            baseFeePerGas: nextBaseFee
+        };
+    }
+
+    // EIP-1559 fees when fee history is available, otherwise the latest
+    // legacy gas price scaled by urgency
     calculateOptimalGasPrice(urgency = 'normal') {
+        if (this.feeHistory) {
+            return this.calculateEip1559Fees(urgency);
+        }
+
         if (this.gasHistory.length === 0) {
             logger.warn('No gas history available, using network default');
             return null;
@@ -78,17 +272,17 @@ class GasOptimizer {
 
         return {
             gasPrice: finalGasPrice,
-            maxFeePerGas: recent.maxFeePerGas ? recent.maxFeePerGas * BigInt(Math.floor(multiplier * 100)) / 100n : null,
-            maxPriorityFeePerGas: recent.maxPriorityFeePerGas
+            maxFeePerGas: null,
+            maxPriorityFeePerGas: null
         };
     }
 
-    async estimateTransactionGas(transaction) {
+    async estimateTransactionGas(transaction, fallbackGasLimit = 300000n) {
         try {
             const gasEstimate = await this.provider.estimateGas(transaction);
             
             // Add 20% buffer to gas limit to ensure transaction doesn't fail
-            const gasLimit = gasEstimate * 120n / 100n;
+            const gasLimit = this.getGasLimit(gasEstimate);
             
             logger.debug('Gas estimation completed', {
                 estimated: gasEstimate.toString(),
@@ -98,11 +292,47 @@ class GasOptimizer {
             return gasLimit;
         } catch (error) {
             logger.error('Gas estimation failed', { error: error.message });
-            // Return a reasonable default if estimation fails
-            return BigInt(300000); // 300k gas limit
+            return BigInt(fallbackGasLimit);
         }
     }
 
+    getGasLimit(expectedGas) {
+        return (BigInt(expectedGas) * this.gasLimitBuffer) / 100n;
+    }
+
+    // Funding source and pool type of every leg, e.g. "wallet:v2-v3"
+    static getRouteShape(legs, funding) {
+        return `${funding}:${legs.map(leg => leg.poolType).join('-')}`;
+    }
+
+    // Gas a route is expected to use: what receipts of the same shape used,
+    // or the sum of its parts before any has been mined
+    estimateRouteGas(legs, funding) {
+        const calibrated = this.routeGas.get(GasOptimizer.getRouteShape(legs, funding));
+        if (calibrated !== undefined) return calibrated;
+
+        return legs.reduce(
+            (total, leg) => total + (ROUTE_GAS.legs[leg.poolType] ?? ROUTE_GAS.legs.curve),
+            ROUTE_GAS.base + (ROUTE_GAS.funding[funding] ?? ROUTE_GAS.funding['aave-flash-loan'])
+        );
+    }
+
+    // Moves the shape's estimate a quarter of the way to a mined trade's
+    // gasUsed; the first receipt replaces the modelled figure outright
+    recordRouteGas(legs, funding, gasUsed) {
+        const shape = GasOptimizer.getRouteShape(legs, funding);
+        const used = BigInt(gasUsed);
+        const previous = this.routeGas.get(shape);
+        const estimate = previous === undefined ? used : previous + (used - previous) / 4n;
+
+        this.routeGas.set(shape, estimate);
+        logger.debug('Route gas recalibrated', { shape, gasUsed: used.toString(), estimate: estimate.toString() });
+    }
+
+    estimateApprovalGas() {
+        return ROUTE_GAS.approval;
+    }
+
     async calculateTransactionCost(gasLimit, urgency = 'normal') {
         const gasPrice = await this.getOptimalGasPrice(urgency);
         const cost = gasLimit * gasPrice.gasPrice;
@@ -117,25 +347,103 @@ class GasOptimizer {
 
     async getOptimalGasPrice(urgency = 'normal') {
         await this.getCurrentGasPrice(); // Refresh gas data
+        await this.refreshFeeHistory();
         return this.calculateOptimalGasPrice(urgency);
     }
 
+    // Fees for a same-nonce replacement of a transaction sent with
+    // previousFees. Nodes only accept a replacement that raises every fee by
+    // at least 10%, so bump by 12.5% and never below the current urgent price.
+    // Returns null when the replacement would exceed the maximum gas price.
+    async getReplacementFees(previousFees) {
+        const bump = (value) => (BigInt(value) * 1125n) / 1000n + 1n;
+        const max = (a, b) => (b !== null && b !== undefined && b > a ? b : a);
+        const urgent = await this.getOptimalGasPrice('urgent');
+
+        let fees;
+        if (previousFees.maxFeePerGas !== null && previousFees.maxFeePerGas !== undefined) {
+            fees = {
+                maxFeePerGas: max(bump(previousFees.maxFeePerGas), urgent && urgent.maxFeePerGas),
+                maxPriorityFeePerGas: max(bump(previousFees.maxPriorityFeePerGas), urgent && urgent.maxPriorityFeePerGas)
+            };
+        } else {
+            fees = { gasPrice: max(bump(previousFees.gasPrice), urgent && urgent.gasPrice) };
+        }
+
+        const highest = fees.maxFeePerGas ?? fees.gasPrice;
+        if (highest > this.maxGasPrice) {
+            logger.warn('Replacement fee exceeds maximum gas price', {
+                required: ethers.formatUnits(highest, 'gwei'),
+                maximum: ethers.formatUnits(this.maxGasPrice, 'gwei')
+            });
+            return null;
+        }
+
+        return fees;
+    }
+
     isGasPriceAcceptable(gasPrice) {
         return gasPrice <= this.maxGasPrice;
     }
 
-    shouldWaitForBetterGas(currentGasPrice, targetProfitEth) {
-        // Simple heuristic: if gas cost is more than 50% of expected profit, wait
-        const gasCostEth = Number(ethers.formatEther(currentGasPrice * BigInt(300000))); // Estimate with 300k gas
-        const gasCostRatio = gasCostEth / targetProfitEth;
-        
-        logger.debug('Gas cost analysis', {
-            gasCostEth: gasCostEth.toFixed(6),
-            targetProfitEth: targetProfitEth.toFixed(6),
-            costRatio: (gasCostRatio * 100).toFixed(2) + '%'
+    // Fees for a trade expected to net netProfitWei before gas and use
+    // gasUsed gas. The priority fee is bidShare percent of what each unit of
+    // gas leaves after the base fee, lowered to the tip recent blocks
+    // included at the urgency's percentile when that would still land, and
+    // maxFeePerGas never passes break-even, where gas takes all the profit.
+    // Returns null when the base fee alone would.
+    calculateProfitBid(netProfitWei, gasUsed, urgency = 'normal') {
+        const recent = this.gasHistory[this.gasHistory.length - 1];
+        const baseFee = this.feeHistory ? this.getNextBaseFee() : recent && recent.gasPrice;
+        if (baseFee === undefined || baseFee === null) return null;
+
+        const breakEven = BigInt(netProfitWei) / BigInt(gasUsed);
+        if (breakEven <= baseFee) return null;
+
+        const ceiling = breakEven < this.maxGasPrice ? breakEven : this.maxGasPrice;
+        let tip = ((breakEven - baseFee) * this.bidShareBps) / 10000n;
+
+        if (!this.feeHistory) {
+            // Legacy pricing has no separate tip
+            const gasPrice = baseFee + tip < ceiling ? baseFee + tip : ceiling;
+            return { gasPrice, maxFeePerGas: null, maxPriorityFeePerGas: null, breakEvenGasPrice: breakEven };
+        }
+
+        const level = GasOptimizer.getUrgencyLevel(urgency);
+        const landingTip = GasOptimizer.getMedianReward(this.feeHistory, level.index);
+        if (landingTip !== null && landingTip < tip) tip = landingTip;
+
+        let maxFeePerGas = GasOptimizer.getBaseFeeCeiling(baseFee, level.blocks) + tip;
+        if (maxFeePerGas > ceiling) maxFeePerGas = ceiling;
+        if (tip > maxFeePerGas) tip = maxFeePerGas;
+        const expected = baseFee + tip;
+
+        logger.debug('Profit-proportional bid calculated', {
+            netProfitEth: ethers.formatEther(netProfitWei),
+            breakEven: ethers.formatUnits(breakEven, 'gwei'),
+            landingTip: landingTip !== null ? ethers.formatUnits(landingTip, 'gwei') : null,
+            maxPriorityFeePerGas: ethers.formatUnits(tip, 'gwei'),
+            maxFeePerGas: ethers.formatUnits(maxFeePerGas, 'gwei')
         });
 
-        return gasCostRatio > 0.5; // Wait if gas cost is more than 50% of profit
+        return {
+            gasPrice: expected < maxFeePerGas ? expected : maxFeePerGas,
+            maxFeePerGas,
+            maxPriorityFeePerGas: tip,
+            baseFeePerGas: baseFee,
+            breakEvenGasPrice: breakEven
+        };
+    }
+
+    async getProfitBid(netProfitWei, gasUsed, urgency = 'normal') {
+        await this.getCurrentGasPrice(); // Refresh gas data
+        await this.refreshFeeHistory();
+        return this.calculateProfitBid(netProfitWei, gasUsed, urgency);
+    }
+
+    // Wait when the current base fee leaves nothing of the profit to bid with
+    shouldWaitForBetterGas(netProfitWei, gasUsed) {
+        return this.calculateProfitBid(netProfitWei, gasUsed) === null;
     }
 
     getGasHistory() {
@@ -146,7 +454,17 @@ class GasOptimizer {
         }));
     }
 
+    // From the persisted per-block history when there is one: base fee plus
+    // the median priority fee of each block
     getAverageGasPrice(minutes = 5) {
+        if (this.historyStore) {
+            const blocks = this.historyStore.getRecent(minutes * 60 * 1000);
+            if (blocks.length > 0) {
+                const sum = blocks.reduce((acc, block) => acc + block.baseFeePerGas + (block.priorityFees[50] || 0n), 0n);
+                return sum / BigInt(blocks.length);
+            }
+        }
+
         const cutoff = Date.now() - (minutes * 60 * 1000);
         const recentHistory = this.gasHistory.filter(entry => entry.timestamp > cutoff);
         
@@ -157,6 +475,11 @@ class GasOptimizer {
     }
 
     predictGasTrend() {
+        if (this.historyStore) {
+            const trend = this.historyStore.getTrend();
+            if (trend !== 'unknown') return trend;
+        }
+
         if (this.gasHistory.length < 3) {
             return 'unknown';
         }
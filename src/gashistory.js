@@ -0,0 +1,202 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+const logger = require('./logger');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const compare = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+
+// Per-block gas observations, appended to a JSON-lines file so fee analytics
+// survive restarts and reach back further than the latest fee history window.
+// Profiles bucket blocks by UTC hour and weekday.
+class GasHistoryStore {
+    constructor(filePath = config.gasHistory.file, retentionDays = config.gasHistory.retentionDays) {
+        this.filePath = filePath;
+        this.retentionMs = retentionDays * DAY_MS;
+        this.observations = []; // Oldest first: { blockNumber, timestamp, baseFeePerGas, gasUsedRatio, priorityFees }
+        this.lastBlockNumber = 0;
+        this.load();
+    }
+
+    load() {
+        if (!this.filePath || !fs.existsSync(this.filePath)) return;
+
+        const lines = fs.readFileSync(this.filePath, 'utf8').split('\n').filter(Boolean);
+        for (const line of lines) {
+            try {
+                this.observations.push(GasHistoryStore.deserialize(JSON.parse(line)));
+            } catch (error) {
+                logger.debug('Skipping malformed gas history line', { error: error.message });
+            }
+        }
+        this.observations.sort((a, b) => a.blockNumber - b.blockNumber);
+
+        // Expired blocks are dropped from the file once per start rather than on every write
+        const kept = this.prune();
+        if (kept < lines.length) this.rewrite();
+
+        if (this.observations.length > 0) {
+            this.lastBlockNumber = this.observations[this.observations.length - 1].blockNumber;
+        }
+        logger.info('Gas history loaded', { file: this.filePath, blocks: this.observations.length });
+    }
+
+    static serialize(observation) {
+        const priorityFees = {};
+        for (const [percentile, fee] of Object.entries(observation.priorityFees)) {
+            priorityFees[percentile] = fee.toString();
+        }
+        return JSON.stringify({
+            blockNumber: observation.blockNumber,
+            timestamp: observation.timestamp,
+            baseFeePerGas: observation.baseFeePerGas.toString(),
+            gasUsedRatio: observation.gasUsedRatio,
+            priorityFees
+        });
+    }
+
+    static deserialize(entry) {
+        const priorityFees = {};
+        for (const [percentile, fee] of Object.entries(entry.priorityFees || {})) {
+            priorityFees[percentile] = BigInt(fee);
+        }
+        return {
+            blockNumber: entry.blockNumber,
+            timestamp: entry.timestamp,
+            baseFeePerGas: BigInt(entry.baseFeePerGas),
+            gasUsedRatio: entry.gasUsedRatio,
+            priorityFees
+        };
+    }
+
+    // Adds the blocks not stored yet, which overlapping fee history windows repeat
+    record(observations) {
+        const added = observations
+            .filter(observation => observation.blockNumber > this.lastBlockNumber)
+            .sort((a, b) => a.blockNumber - b.blockNumber);
+        if (added.length === 0) return 0;
+
+        this.observations.push(...added);
+        this.lastBlockNumber = added[added.length - 1].blockNumber;
+        this.prune();
+
+        if (this.filePath) {
+            try {
+                fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+                fs.appendFileSync(this.filePath, added.map(GasHistoryStore.serialize).join('\n') + '\n');
+            } catch (error) {
+                logger.warn('Failed to persist gas history', { file: this.filePath, error: error.message });
+            }
+        }
+        return added.length;
+    }
+
+    prune(now = Date.now()) {
+        const cutoff = now - this.retentionMs;
+        const firstKept = this.observations.findIndex(observation => observation.timestamp >= cutoff);
+        this.observations = firstKept === -1 ? [] : this.observations.slice(firstKept);
+        return this.observations.length;
+    }
+
+    rewrite() {
+        try {
+            const lines = this.observations.map(GasHistoryStore.serialize);
+            fs.writeFileSync(this.filePath, lines.length > 0 ? lines.join('\n') + '\n' : '');
+        } catch (error) {
+            logger.warn('Failed to compact gas history', { file: this.filePath, error: error.message });
+        }
+    }
+
+    getObservations(fromTime, toTime = Date.now()) {
+        return this.observations.filter(observation => observation.timestamp >= fromTime && observation.timestamp <= toTime);
+    }
+
+    getRecent(windowMs, now = Date.now()) {
+        return this.getObservations(now - windowMs, now);
+    }
+
+    // Nearest-rank percentile of a list of BigInts, or null when it is empty
+    static percentile(values, percentile) {
+        if (values.length === 0) return null;
+
+        const sorted = [...values].sort(compare);
+        const rank = Math.ceil((percentile / 100) * sorted.length) - 1;
+        return sorted[Math.min(Math.max(rank, 0), sorted.length - 1)];
+    }
+
+    // Priority fees only count for blocks that had transactions
+    static getPriorityFees(observations, percentile = 50) {
+        return observations
+            .filter(observation => observation.gasUsedRatio > 0 && observation.priorityFees[percentile] !== undefined)
+            .map(observation => observation.priorityFees[percentile]);
+    }
+
+    // Base fee and median priority fee at each percentile over the window
+    getSummary(windowMs = DAY_MS, percentiles = [10, 50, 90], now = Date.now()) {
+        const observations = this.getRecent(windowMs, now);
+        const baseFees = observations.map(observation => observation.baseFeePerGas);
+        const priorityFees = GasHistoryStore.getPriorityFees(observations);
+        const summary = { blocks: observations.length, baseFee: {}, priorityFee: {}, averageGasUsedRatio: null };
+
+        for (const percentile of percentiles) {
+            summary.baseFee[percentile] = GasHistoryStore.percentile(baseFees, percentile);
+            summary.priorityFee[percentile] = GasHistoryStore.percentile(priorityFees, percentile);
+        }
+        if (observations.length > 0) {
+            summary.averageGasUsedRatio = observations.reduce((sum, observation) => sum + observation.gasUsedRatio, 0) / observations.length;
+        }
+        return summary;
+    }
+
+    // Median base fee and priority fee of the window's blocks grouped by bucketOf
+    getProfile(bucketCount, bucketOf, windowMs, now) {
+        const buckets = Array.from({ length: bucketCount }, () => []);
+        for (const observation of this.getRecent(windowMs, now)) {
+            buckets[bucketOf(new Date(observation.timestamp))].push(observation);
+        }
+
+        return buckets.map((observations, bucket) => ({
+            bucket,
+            blocks: observations.length,
+            medianBaseFee: GasHistoryStore.percentile(observations.map(observation => observation.baseFeePerGas), 50),
+            medianPriorityFee: GasHistoryStore.percentile(GasHistoryStore.getPriorityFees(observations), 50)
+        }));
+    }
+
+    getHourlyProfile(windowMs = 7 * DAY_MS, now = Date.now()) {
+        return this.getProfile(24, date => date.getUTCHours(), windowMs, now);
+    }
+
+    // 0 is Sunday
+    getWeekdayProfile(windowMs = 28 * DAY_MS, now = Date.now()) {
+        return this.getProfile(7, date => date.getUTCDay(), windowMs, now);
+    }
+
+    // Profile buckets with data, cheapest total fee first
+    static rankCheapest(profile, count = 3) {
+        const total = (bucket) => bucket.medianBaseFee + (bucket.medianPriorityFee || 0n);
+        return profile
+            .filter(bucket => bucket.blocks > 0)
+            .sort((a, b) => compare(total(a), total(b)))
+            .slice(0, count);
+    }
+
+    // Compares the median base fee of the window's later half with its
+    // earlier half; moves under 5% are 'stable'
+    getTrend(windowMs = 30 * 60 * 1000, now = Date.now()) {
+        const observations = this.getRecent(windowMs, now);
+        if (observations.length < 6) return 'unknown';
+
+        const middle = Math.floor(observations.length / 2);
+        const earlier = GasHistoryStore.percentile(observations.slice(0, middle).map(observation => observation.baseFeePerGas), 50);
+        const later = GasHistoryStore.percentile(observations.slice(middle).map(observation => observation.baseFeePerGas), 50);
+
+        if (later * 100n > earlier * 105n) return 'increasing';
+        if (later * 105n < earlier * 100n) return 'decreasing';
+        return 'stable';
+    }
+}
+
+module.exports = GasHistoryStore;
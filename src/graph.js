@@ -0,0 +1,72 @@
+// Directed token graph over cached pools. Each pool contributes one edge per
+// swap direction, weighted by -ln(marginal rate after fee), so a cycle whose
+// weights sum below zero returns more than it started with.
+class TokenGraph {
+    constructor(maxHops = 3, minHops = 3) {
+        this.maxHops = maxHops;
+        this.minHops = minHops; // Two-pool cycles are covered by the pairwise scan
+        this.edges = new Map(); // lowercase token -> outgoing edges
+    }
+
+    addPool(priceData, feePips) {
+        if (!priceData.rawPrice0 || !priceData.rawPrice1) return;
+
+        const feeFactor = 1 - feePips / 1000000;
+        this.addEdge(priceData, priceData.token0, priceData.token1, priceData.rawPrice0 * feeFactor);
+        this.addEdge(priceData, priceData.token1, priceData.token0, priceData.rawPrice1 * feeFactor);
+    }
+
+    addEdge(pool, tokenIn, tokenOut, rate) {
+        if (!(rate > 0) || !Number.isFinite(rate)) return;
+
+        const key = tokenIn.toLowerCase();
+        if (!this.edges.has(key)) this.edges.set(key, []);
+        this.edges.get(key).push({ pool, tokenIn, tokenOut, weight: -Math.log(rate) });
+    }
+
+    // Simple cycles through startToken with minHops..maxHops legs and negative
+    // total weight, most negative first. A pool is never used twice in a cycle,
+    // including two coin pairs of the same Curve pool.
+    findNegativeCycles(startToken, limit = 20) {
+        const start = startToken.toLowerCase();
+        const cycles = [];
+
+        const visit = (token, path, weight, visitedTokens, usedPools) => {
+            for (const edge of this.edges.get(token) || []) {
+                const poolKey = edge.pool.poolAddress || edge.pool.pairAddress;
+                if (usedPools.has(poolKey)) continue;
+
+                const nextPath = [...path, edge];
+                const nextWeight = weight + edge.weight;
+                const nextToken = edge.tokenOut.toLowerCase();
+
+                if (nextToken === start) {
+                    if (nextPath.length >= this.minHops && nextWeight < 0) {
+                        cycles.push({ edges: nextPath, weight: nextWeight });
+                    }
+                    continue;
+                }
+
+                if (nextPath.length >= this.maxHops || visitedTokens.has(nextToken)) continue;
+
+                visit(
+                    nextToken,
+                    nextPath,
+                    nextWeight,
+                    new Set(visitedTokens).add(nextToken),
+                    new Set(usedPools).add(poolKey)
+                );
+            }
+        };
+
+        visit(start, [], 0, new Set([start]), new Set());
+
+        return cycles.sort((a, b) => a.weight - b.weight).slice(0, limit);
+    }
+
+    getTokenCount() {
+        return this.edges.size;
+    }
+}
+
+module.exports = TokenGraph;
@@ -4,6 +4,11 @@ const ArbitrageExecutor = require('./executor');
 const RiskManager = require('./risk');
 const TokenUtils = require('./tokens');
 const GasOptimizer = require('./gas');
+const GasHistoryStore = require('./gashistory');
+const PairDiscovery = require('./discovery');
+const PerformanceMetrics = require('./metrics');
+const PaperTrader = require('./paper');
+const Web3Utils = require('./utils');
 const logger = require('./logger');
 const config = require('./config');
 
@@ -16,8 +21,13 @@ class MEVBot {
         this.riskManager = null;
         this.tokenUtils = null;
         this.gasOptimizer = null;
+        this.metrics = new PerformanceMetrics();
         this.isRunning = false;
         this.scanInterval = 15000; // 15 seconds
+        this.eventDriven = false;
+        this.scanInProgress = false;
+        this.pendingChangedPairs = new Set();
+        this.gasSampling = false;
         this.stats = {
             scansCompleted: 0,
             opportunitiesFound: 0,
@@ -42,15 +52,22 @@ class MEVBot {
                 console.log('⚠️  No wallet configured - running in monitor-only mode');
             }
 
+            this.tokenUtils = new TokenUtils(this.provider);
+
             // Initialize DEX monitor
-            this.monitor = new DexMonitor();
+            this.monitor = new DexMonitor(this.tokenUtils);
             await this.setupWatchedPairs();
 
             // Initialize all modules
-            this.executor = new ArbitrageExecutor(this.provider, this.wallet);
+            this.gasOptimizer = new GasOptimizer(this.provider, new GasHistoryStore());
+            this.executor = new ArbitrageExecutor(this.provider, this.wallet, this.gasOptimizer);
             this.riskManager = new RiskManager();
-            this.tokenUtils = new TokenUtils(this.provider);
-            this.gasOptimizer = new GasOptimizer(this.provider);
+            if (config.paper.enabled) {
+                this.executor.paperTrader = new PaperTrader(this.monitor);
+                console.log(`📝 Paper trading with ${config.paper.startingEth} ETH of virtual WETH`);
+            }
+            this.monitor.onReorg = (reorg) => this.handleChainReorg(reorg);
+            this.monitor.onNewBlock = (block) => this.handleNewBlock(block);
 
             // Initialize stats
             this.stats.startTime = Date.now();
@@ -68,15 +85,28 @@ class MEVBot {
     }
 
     async setupWatchedPairs() {
-        // Add some popular ETH pairs for monitoring
-        const popularPairs = [
-            { address: '0xa478c2975ab1ea89e8196811f51a7b7ade33eb11', exchange: 'Uniswap V2', name: 'DAI/WETH' },
-            { address: '0xb4e16d0168e52d35cacd2c6185b44281ec28c9dc', exchange: 'Uniswap V2', name: 'USDC/WETH' }
-        ];
+        const { WETH, USDC, USDT, DAI, WBTC } = this.tokenUtils.COMMON_TOKENS;
+        const tokens = config.discovery.tokens.length > 0
+            ? config.discovery.tokens
+            : [WETH, USDC, USDT, DAI, WBTC];
 
-        console.log('📡 Setting up watched pairs...');
-        for (const pair of popularPairs) {
-            await this.monitor.addWatchPair(pair.address, pair.exchange);
+        console.log(`📡 Discovering pools for ${tokens.length} tokens...`);
+        const discovery = new PairDiscovery(this.provider, this.monitor);
+        await discovery.discoverPools(tokens);
+
+        // Curve and Balancer pools have no pair lookup, so they come from config
+        const listedPools = [
+            ...config.exchanges.curvePools.map(address => ({ address, exchange: 'Curve', type: 'curve' })),
+            ...config.exchanges.balancerPools.map(address => ({ address, exchange: 'Balancer', type: 'balancer' }))
+        ];
+        const registered = [];
+        for (const pool of listedPools) {
+            if (await this.monitor.addWatchPair(pool.address, pool.exchange, pool.type)) {
+                registered.push(pool.address);
+            }
+        }
+        if (registered.length > 0) {
+            await this.monitor.fetchAllPrices(registered);
         }
     }
 
@@ -91,8 +121,94 @@ class MEVBot {
         
         console.log('🚀 MEV Bot started - monitoring for opportunities...');
         
-        // Main bot loop will be implemented here
-        this.monitorLoop();
+        if (config.ethereum.wsUrl) {
+            await this.startEventDrivenMonitoring();
+        } else {
+            this.monitorLoop();
+        }
+    }
+
+    async startEventDrivenMonitoring() {
+        try {
+            // Take a full snapshot first, then keep it current from Sync/Swap events
+            await this.scanForOpportunities();
+            await this.monitor.subscribeToReserveEvents(changedPairs => this.handleReserveChanges(changedPairs));
+            this.eventDriven = true;
+            console.log('⚡ Event-driven monitoring active over WebSocket');
+        } catch (error) {
+            console.error('❌ Failed to subscribe to reserve events, falling back to polling:', error.message);
+            await this.monitor.unsubscribeFromReserveEvents();
+            this.monitorLoop();
+        }
+    }
+
+    async handleReserveChanges(changedPairs) {
+        changedPairs.forEach(pairAddress => this.pendingChangedPairs.add(pairAddress));
+
+        // A scan already in flight will pick up the queued pairs when it finishes
+        if (this.scanInProgress) return;
+
+        this.scanInProgress = true;
+        try {
+            while (this.isRunning && this.pendingChangedPairs.size > 0) {
+                const batch = Array.from(this.pendingChangedPairs);
+                this.pendingChangedPairs.clear();
+                await this.scanChangedPairs(batch);
+            }
+        } catch (error) {
+            console.error('❌ Error scanning changed pairs:', error.message);
+        } finally {
+            this.scanInProgress = false;
+        }
+    }
+
+    async scanChangedPairs(changedPairs) {
+        const startTime = Date.now();
+
+        if (this.riskManager.shouldHaltTrading()) {
+            logger.warn('Trading halted due to daily loss limit');
+            return;
+        }
+
+        this.stats.scansCompleted++;
+
+        const opportunities = await this.monitor.scanForArbitrageOpportunities(changedPairs);
+        await this.processOpportunities(opportunities, changedPairs.length);
+        this.recordPaperEquity();
+
+        const duration = Date.now() - startTime;
+        logger.performance('Event scan cycle', duration, true);
+    }
+
+    handleChainReorg(reorg) {
+        const revertedTrades = this.riskManager.handleReorg(reorg.commonAncestor);
+
+        logger.warn('Chain reorganisation detected', {
+            commonAncestor: reorg.commonAncestor,
+            droppedBlocks: reorg.dropped.map(block => block.number),
+            affectedPools: reorg.affectedPools.length,
+            revertedTrades: revertedTrades.length
+        });
+    }
+
+    async handleNewBlock(block) {
+        await this.confirmPendingTrades(block.number);
+        await this.sampleGasHistory(block.number);
+    }
+
+    // Trades a reorg sent back to pending count again once their
+    // transaction is mined on the canonical chain. Those still missing after
+    // REORG_TRACK_DEPTH blocks are given up on.
+    async confirmPendingTrades(headNumber) {
+        for (const trade of this.riskManager.getPendingTrades()) {
+            const receipt = await this.provider.getTransactionReceipt(trade.txHash);
+            if (receipt) {
+                this.riskManager.confirmTrade(trade, receipt.blockNumber);
+                logger.info('Reorged trade included again', { txHash: trade.txHash, blockNumber: receipt.blockNumber });
+            } else if (headNumber - trade.pendingSince > config.ethereum.reorgDepth) {
+                this.riskManager.dropTrade(trade);
+            }
+        }
     }
 
     async monitorLoop() {
@@ -119,19 +235,15 @@ class MEVBot {
             return;
         }
         
-        // Fetch current prices for all watched pairs
-        const pricePromises = watchedPairs.map(pairAddress => 
-            this.monitor.fetchPairPrice(pairAddress)
-        );
-        
-        const results = await Promise.allSettled(pricePromises);
+        // Fetch current prices for all watched pairs in Multicall batches
+        const { blockNumber, results } = await this.monitor.fetchAllPrices(watchedPairs);
         let successfulScans = 0;
         
-        results.forEach((result, index) => {
-            if (result.status === 'fulfilled' && result.value) {
+        results.forEach(result => {
+            if (result.success) {
                 successfulScans++;
-            } else if (result.status === 'rejected') {
-                logger.error(`Failed to scan pair ${watchedPairs[index]}`, { error: result.reason });
+            } else {
+                logger.error(`Failed to scan pair ${result.pairAddress}`, { error: result.error, blockNumber });
             }
         });
 
@@ -139,40 +251,85 @@ class MEVBot {
 
         if (successfulScans > 0) {
             const opportunities = await this.monitor.scanForArbitrageOpportunities();
+            await this.processOpportunities(opportunities, successfulScans);
+        }
+        this.recordPaperEquity();
+
+        const duration = Date.now() - startTime;
+        logger.performance('Scan cycle', duration, successfulScans > 0);
+    }
+
+    // Marks the paper portfolio to market once per scan, for its equity curve
+    recordPaperEquity() {
+        if (!this.executor.paperTrader) return;
+        this.executor.paperTrader.recordEquity(this.monitor.latestBlock ? this.monitor.latestBlock.number : null);
+    }
+
+    // Persists the fee history of every block since the last one stored. A
+    // head arriving while a sample is running is covered by the next one.
+    async sampleGasHistory(headNumber) {
+        if (this.gasSampling) return;
+
+        this.gasSampling = true;
+        try {
+            await this.gasOptimizer.recordFeeHistory(headNumber);
+        } catch (error) {
+            logger.debug('Gas history sample failed', { headNumber, error: error.message });
+        } finally {
+            this.gasSampling = false;
+        }
+    }
+
+    async processOpportunities(opportunities, scannedPairs) {
+        if (opportunities.length > 0) {
+            this.stats.opportunitiesFound += opportunities.length;
+            console.log(`💰 Found ${opportunities.length} arbitrage opportunities:`);
             
-            if (opportunities.length > 0) {
-                this.stats.opportunitiesFound += opportunities.length;
-                console.log(`💰 Found ${opportunities.length} arbitrage opportunities:`);
+            for (let i = 0; i < Math.min(3, opportunities.length); i++) {
+                const opp = opportunities[i];
+                const netProfit = Web3Utils.formatTokenAmount(opp.netProfit, opp.tokenInDecimals, 6);
+                console.log(`  ${i + 1}. ${opp.profitPercent.toFixed(2)}% net (${netProfit} ${this.tokenUtils.getTokenName(opp.tokenIn)}) via ${opp.legs.map(leg => leg.exchange).join(' -> ')}`);
+                
+                logger.arbitrage(opp, 'detected');
                 
-                for (let i = 0; i < Math.min(3, opportunities.length); i++) {
-                    const opp = opportunities[i];
-                    console.log(`  ${i + 1}. ${opp.profitPercent.toFixed(2)}% profit between ${opp.pair1.exchange} and ${opp.pair2.exchange}`);
-                    
-                    logger.arbitrage(opp, 'detected');
-                    
-                    // Enhanced opportunity evaluation
-                    if (await this.evaluateAndExecuteOpportunity(opp)) {
-                        this.stats.tradesExecuted++;
-                    }
+                // Enhanced opportunity evaluation
+                const executed = await this.evaluateAndExecuteOpportunity(opp);
+                this.metrics.recordOpportunity(opp, executed);
+                if (executed) {
+                    this.stats.tradesExecuted++;
                 }
-            } else {
-                logger.debug(`Scanned ${successfulScans} pairs - no opportunities found`);
             }
+        } else {
+            logger.debug(`Scanned ${scannedPairs} pairs - no opportunities found`);
         }
-
-        const duration = Date.now() - startTime;
-        logger.performance('Scan cycle', duration, successfulScans > 0);
     }
 
     async evaluateAndExecuteOpportunity(opportunity) {
         try {
             // Get current gas price
             const gasData = await this.gasOptimizer.getCurrentGasPrice();
-            const tradeAmount = ethers.parseEther('0.1'); // Default trade size
+
+            // Cap the profit-maximising size by risk limits and wallet balance, then
+            // re-evaluate so risk, profitability and execution all see the same trade
+            const tradeSize = await this.executor.calculateOptimalTradeSize(opportunity, this.riskManager.maxTradeSize);
+            if (!tradeSize) {
+                logger.debug('No tradeable size for opportunity', { pair1: opportunity.pair1.address });
+                return false;
+            }
+
+            const sizedOpportunity = tradeSize === BigInt(opportunity.amountIn)
+                ? opportunity
+                : this.monitor.repriceOpportunity(opportunity, tradeSize);
+            if (!sizedOpportunity || sizedOpportunity.netProfit <= 0n || sizedOpportunity.tradeSizeWei === null) {
+                logger.debug('Opportunity unprofitable at capped size', { tradeSize });
+                return false;
+            }
+
+            const tradeAmount = sizedOpportunity.tradeSizeWei;
             
             // Risk assessment
             const riskAssessment = await this.riskManager.assessTradeRisk(
-                opportunity,
+                sizedOpportunity,
                 tradeAmount,
                 gasData.gasPrice
             );
@@ -186,22 +343,37 @@ class MEVBot {
             }
 
             // Check profitability with current gas prices
-            if (this.executor && await this.executor.isArbitrageProfitable(opportunity)) {
+            if (this.executor && await this.executor.isArbitrageProfitable(sizedOpportunity)) {
                 logger.info('Executing profitable arbitrage opportunity', {
-                    profit: opportunity.profitPercent,
+                    profit: sizedOpportunity.profitPercent,
+                    tradeSize: sizedOpportunity.amountIn,
                     riskScore: riskAssessment.score
                 });
                 
-                const result = await this.executor.executeArbitrage(opportunity);
-                
+                const executionStart = Date.now();
+                const result = await this.executor.executeArbitrage(sizedOpportunity);
+
+                if (result) {
+                    // A mined trade counts at what its receipt shows, reverts
+                    // included since they still pay gas; simulated trades have
+                    // no receipt and count at their estimate, with no block a
+                    // reorg could take them out of
+                    const pnlWei = result.realizedPnlWei ?? sizedOpportunity.netProfitWei ?? 0n;
+                    const minedBlock = result.txHash ? result.blockNumber : null;
+                    this.riskManager.recordTradeResult(tradeAmount, pnlWei, result.gasUsed, minedBlock, result.txHash ?? null);
+                    // Metrics keep gas separately, so they take the profit before gas
+                    const profitWei = result.realizedPnlWei === null ? pnlWei : (result.realizedProfitWei ?? 0n);
+                    this.metrics.recordTrade({
+                        profit: Number(ethers.formatEther(profitWei)),
+                        gasCost: Number(ethers.formatEther(result.gasCostWei ?? 0n)),
+                        tradeAmount: Number(ethers.formatEther(tradeAmount)),
+                        executionTime: Date.now() - executionStart
+                    });
+                }
+
                 if (result && result.success) {
                     logger.trade(result);
-                    logger.arbitrage(opportunity, 'executed');
-                    
-                    // Record trade result for risk management
-                    const profit = (opportunity.profitPercent / 100) * 0.1; // Simplified calculation
-                    this.riskManager.recordTradeResult(tradeAmount, profit, result.gasUsed);
-                    
+                    logger.arbitrage(sizedOpportunity, 'executed');
                     return true;
                 }
             }
@@ -220,6 +392,8 @@ class MEVBot {
             runtime: Math.floor(runtime / 1000), // seconds
             dailyStats: this.riskManager ? this.riskManager.getDailyStats() : null,
             gasHistory: this.gasOptimizer ? this.gasOptimizer.getGasHistory().slice(-5) : [],
+            trading: this.metrics.getPerformanceSummary().trading,
+            paper: this.executor && this.executor.paperTrader ? this.executor.paperTrader.getSummary() : null,
             tokenCacheSize: this.tokenUtils ? this.tokenUtils.getCacheSize() : 0
         };
     }
@@ -227,6 +401,11 @@ class MEVBot {
     async stop() {
         console.log('🛑 Stopping MEV Bot...');
         this.isRunning = false;
+
+        if (this.monitor) {
+            await this.monitor.unsubscribeFromReserveEvents();
+        }
+        this.eventDriven = false;
     }
 }
 
@@ -22,7 +22,7 @@ class Logger {
         let logMessage = `[${timestamp}] ${prefix} ${message}`;
         
         if (data) {
-            logMessage += ` | ${JSON.stringify(data)}`;
+            logMessage += ` | ${JSON.stringify(data, (key, value) => (typeof value === 'bigint' ? value.toString() : value))}`;
         }
         
         return logMessage;
@@ -63,12 +63,12 @@ class Logger {
     }
 
     arbitrage(opportunity, action = 'detected') {
-        const message = `Arbitrage ${action}: ${opportunity.profitPercent.toFixed(2)}% between ${opportunity.pair1.exchange} and ${opportunity.pair2.exchange}`;
+        const message = `Arbitrage ${action}: ${opportunity.profitPercent.toFixed(2)}% via ${opportunity.legs.map(leg => leg.exchange).join(' -> ')}`;
         
         if (action === 'executed' || opportunity.profitPercent > 1.0) {
             this.info(message, {
                 profit: opportunity.profitPercent,
-                exchanges: [opportunity.pair1.exchange, opportunity.pair2.exchange],
+                exchanges: opportunity.legs.map(leg => leg.exchange),
                 token0: opportunity.token0,
                 token1: opportunity.token1
             });
@@ -86,6 +86,7 @@ class Logger {
         this.info('Trade executed', {
             amount: tradeData.tradeAmount,
             profit: tradeData.estimatedProfit,
+            realizedPnlWei: tradeData.realizedPnlWei ?? null,
             gasUsed: tradeData.gasUsed,
             exchanges: tradeData.exchangeUsed
         });
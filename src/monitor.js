@@ -1,5 +1,14 @@
 const { ethers } = require('ethers');
 const config = require('./config');
+const UniswapV3Pool = require('./uniswapv3');
+const CurvePool = require('./curve');
+const BalancerWeightedPool = require('./balancer');
+const Multicall = require('./multicall');
+const TokenUtils = require('./tokens');
+const Web3Utils = require('./utils');
+const TokenGraph = require('./graph');
+const ChainTracker = require('./reorg');
+const ExchangeRegistry = require('./exchanges');
 
 const UNISWAP_V2_PAIR_ABI = [
     'function getReserves() external view returns (uint112 reserve0, uint112 reserve1, uint32 blockTimestampLast)',
@@ -7,14 +16,76 @@ const UNISWAP_V2_PAIR_ABI = [
     'function token1() external view returns (address)'
 ];
 
+const POOL_EVENTS_INTERFACE = new ethers.Interface([
+    'event Sync(uint112 reserve0, uint112 reserve1)',
+    'event Swap(address indexed sender, address indexed recipient, int256 amount0, int256 amount1, uint160 sqrtPriceX96, uint128 liquidity, int24 tick)',
+    'event Mint(address sender, address indexed owner, int24 indexed tickLower, int24 indexed tickUpper, uint128 amount, uint256 amount0, uint256 amount1)',
+    'event Burn(address indexed owner, int24 indexed tickLower, int24 indexed tickUpper, uint128 amount, uint256 amount0, uint256 amount1)'
+]);
+const DEFAULT_V2_FEE_BPS = 30;
+
+const SYNC_TOPIC = POOL_EVENTS_INTERFACE.getEvent('Sync').topicHash;
+const V3_SWAP_TOPIC = POOL_EVENTS_INTERFACE.getEvent('Swap').topicHash;
+// Liquidity changes move the tick bitmap and, in range, the active liquidity
+const V3_LIQUIDITY_TOPICS = [
+    POOL_EVENTS_INTERFACE.getEvent('Mint').topicHash,
+    POOL_EVENTS_INTERFACE.getEvent('Burn').topicHash
+];
+
+// Pool types whose every state change arrives as a subscribed event. Curve's
+// A ramps with time and Balancer's swap fee changes on the pool contract,
+// neither of which is subscribed, so those are re-read every block instead.
+const EVENT_TRACKED_TYPES = new Set(['v2', 'v3']);
+
+const BALANCER_VAULT_INTERFACE = new ethers.Interface(BalancerWeightedPool.VAULT_ABI);
+const BALANCER_POOL_TOPICS = [
+    BALANCER_VAULT_INTERFACE.getEvent('Swap').topicHash,
+    BALANCER_VAULT_INTERFACE.getEvent('PoolBalanceChanged').topicHash
+];
+
 class DexMonitor {
-    constructor() {
+    constructor(tokenUtils = null) {
         this.provider = new ethers.JsonRpcProvider(config.ethereum.rpcUrl);
+        this.tokenUtils = tokenUtils || new TokenUtils(this.provider);
         this.watchedPairs = new Map();
         this.priceCache = new Map();
+        this.multicall = new Multicall(this.provider);
+
+        // Factories and V2 swap fees per exchange
+        this.exchangeRegistry = new ExchangeRegistry();
+        this.maxCycleHops = config.mev.maxCycleHops;
+        this.maxSnapshotAge = config.mev.maxSnapshotAge; // Blocks
+        this.latestBlock = null; // { number, hash } of the newest block seen
+        this.chainTracker = new ChainTracker(this.provider);
+        this.onReorg = null;
+        this.onNewBlock = null; // Called with { number, hash } whenever the head advances
+
+        // WebSocket event subscriptions
+        this.wsProvider = null;
+        this.onReservesChanged = null;
+        this.eventAddressIndex = new Map(); // lowercase address or Balancer pool id -> watchedPairs key
+        this.pendingChanges = new Set();
+        this.refreshingPools = new Set(); // Pools being re-read after an event, whose cache is behind
+        this.eventFlushDelay = 250; // Batch log bursts from the same block
+        this.flushTimer = null;
+        this.reconnectTimer = null;
+        this.reconnectAttempts = 0;
+        this.watchdogTimer = null;
+        this.staleConnectionTimeout = 60000; // Reconnect if no block arrives for a minute
+        this.lastBlockTime = 0;
     }
 
-    async addWatchPair(pairAddress, exchangeName = 'unknown') {
+    async addWatchPair(pairAddress, exchangeName = 'unknown', poolType = 'v2') {
+        if (poolType === 'v3') {
+            return this.addV3Pool(pairAddress, exchangeName);
+        }
+        if (poolType === 'curve') {
+            return this.addCurvePool(pairAddress, exchangeName);
+        }
+        if (poolType === 'balancer') {
+            return this.addBalancerPool(pairAddress, exchangeName);
+        }
+
         try {
             const pairContract = new ethers.Contract(pairAddress, UNISWAP_V2_PAIR_ABI, this.provider);
             
@@ -22,16 +93,25 @@ class DexMonitor {
                 pairContract.token0(),
                 pairContract.token1()
             ]);
+            const tokenMetadata = await this.resolveTokenMetadata(token0, token1);
+            if (!tokenMetadata) {
+                console.warn(`⚠️  Not watching pair ${pairAddress} - could not read decimals of ${token0}/${token1}`);
+                return false;
+            }
+            const exchange = this.resolveExchangeName(exchangeName, pairAddress, 'v2', token0, token1);
 
             this.watchedPairs.set(pairAddress, {
                 contract: pairContract,
                 token0,
                 token1,
-                exchange: exchangeName,
+                ...tokenMetadata,
+                exchange,
+                type: 'v2',
+                feeBps: this.exchangeRegistry.getFeeBps(exchange) ?? DEFAULT_V2_FEE_BPS,
                 lastUpdate: 0
             });
 
-            console.log(`👀 Watching pair ${pairAddress} on ${exchangeName}`);
+            console.log(`👀 Watching pair ${pairAddress} on ${exchange}`);
             return true;
         } catch (error) {
             console.error(`❌ Failed to add watch pair ${pairAddress}:`, error.message);
@@ -39,103 +119,1264 @@ class DexMonitor {
         }
     }
 
+    async addV3Pool(poolAddress, exchangeName = 'Uniswap V3') {
+        try {
+            const pool = new UniswapV3Pool(poolAddress, this.provider);
+            const { token0, token1, fee, tickSpacing } = await pool.loadMetadata();
+            const tokenMetadata = await this.resolveTokenMetadata(token0, token1);
+            if (!tokenMetadata) {
+                console.warn(`⚠️  Not watching V3 pool ${poolAddress} - could not read decimals of ${token0}/${token1}`);
+                return false;
+            }
+            const exchange = this.resolveExchangeName(exchangeName, poolAddress, 'v3', token0, token1, fee);
+
+            this.watchedPairs.set(poolAddress, {
+                contract: pool.contract,
+                pool,
+                token0,
+                token1,
+                ...tokenMetadata,
+                exchange,
+                type: 'v3',
+                fee,
+                tickSpacing,
+                lastUpdate: 0
+            });
+
+            console.log(`👀 Watching V3 pool ${poolAddress} on ${exchange} (fee ${fee / 10000}%)`);
+            return true;
+        } catch (error) {
+            console.error(`❌ Failed to add V3 pool ${poolAddress}:`, error.message);
+            return false;
+        }
+    }
+
+    async addCurvePool(poolAddress, exchangeName = 'Curve') {
+        try {
+            const pool = new CurvePool(poolAddress, this.provider);
+            const { coins } = await pool.loadMetadata();
+            const infos = await Promise.all(coins.map(coin => this.tokenUtils.getTokenInfo(coin)));
+
+            if (!DexMonitor.hasDecimals(infos)) {
+                console.warn(`⚠️  Not watching Curve pool ${poolAddress} - could not read the decimals of every coin`);
+                return false;
+            }
+            const decimals = infos.map(info => info.decimals);
+            pool.setDecimals(decimals);
+
+            this.watchedPairs.set(poolAddress, {
+                contract: pool.contract,
+                pool,
+                coins,
+                decimals,
+                symbols: infos.map(info => info.symbol),
+                exchange: exchangeName,
+                type: 'curve',
+                lastUpdate: 0
+            });
+
+            console.log(`👀 Watching Curve pool ${poolAddress} on ${exchangeName} (${coins.length} coins)`);
+            return true;
+        } catch (error) {
+            console.error(`❌ Failed to add Curve pool ${poolAddress}:`, error.message);
+            return false;
+        }
+    }
+
+    async addBalancerPool(poolAddress, exchangeName = 'Balancer') {
+        try {
+            const pool = new BalancerWeightedPool(poolAddress, this.provider);
+            const { poolId, tokens, weights } = await pool.loadMetadata();
+            const infos = await Promise.all(tokens.map(token => this.tokenUtils.getTokenInfo(token)));
+
+            if (!DexMonitor.hasDecimals(infos)) {
+                console.warn(`⚠️  Not watching Balancer pool ${poolAddress} - could not read the decimals of every token`);
+                return false;
+            }
+
+            this.watchedPairs.set(poolAddress, {
+                contract: pool.contract,
+                pool,
+                poolId,
+                coins: tokens,
+                decimals: infos.map(info => info.decimals),
+                symbols: infos.map(info => info.symbol),
+                exchange: exchangeName,
+                type: 'balancer',
+                lastUpdate: 0
+            });
+
+            const weightLabel = weights.map(weight => Math.round(Number(weight) / 1e16)).join('/');
+            console.log(`👀 Watching Balancer pool ${poolAddress} on ${exchangeName} (${weightLabel} weights)`);
+            return true;
+        } catch (error) {
+            console.error(`❌ Failed to add Balancer pool ${poolAddress}:`, error.message);
+            return false;
+        }
+    }
+
+    // Pools added without a registered exchange name are labelled by the
+    // factory whose CREATE2 address matches theirs
+    resolveExchangeName(exchangeName, poolAddress, type, token0, token1, fee = null) {
+        if (this.exchangeRegistry.get(exchangeName)) return exchangeName;
+        return this.exchangeRegistry.identifyPool(poolAddress, type, token0, token1, fee) || exchangeName;
+    }
+
+    // Null when either token's decimals cannot be read: a guess would
+    // misprice the pair by a power of ten, so such pools are not watched
+    async resolveTokenMetadata(token0, token1) {
+        const infos = await Promise.all([
+            this.tokenUtils.getTokenInfo(token0),
+            this.tokenUtils.getTokenInfo(token1)
+        ]);
+        if (!DexMonitor.hasDecimals(infos)) return null;
+
+        const [info0, info1] = infos;
+        return {
+            decimals0: info0.decimals,
+            decimals1: info1.decimals,
+            symbol0: info0.symbol,
+            symbol1: info1.symbol
+        };
+    }
+
+    static hasDecimals(infos) {
+        return infos.every(info => info && info.decimals !== null && info.decimals !== undefined);
+    }
+
+    // Converts a raw-unit price (token1 wei per token0 wei) into human units
+    static toHumanPrice(rawPrice, decimals0 = 18, decimals1 = 18) {
+        return rawPrice * 10 ** (decimals0 - decimals1);
+    }
+
+    removeWatchPair(pairAddress) {
+        this.priceCache.delete(pairAddress);
+        for (const [key, priceData] of this.priceCache) {
+            if (priceData.poolAddress === pairAddress) this.priceCache.delete(key);
+        }
+        return this.watchedPairs.delete(pairAddress);
+    }
+
     async fetchPairPrice(pairAddress) {
         const pair = this.watchedPairs.get(pairAddress);
         if (!pair) {
             throw new Error(`Pair ${pairAddress} not being watched`);
         }
 
+        let block;
         try {
-            const reserves = await pair.contract.getReserves();
-            const reserve0 = BigInt(reserves.reserve0.toString());
-            const reserve1 = BigInt(reserves.reserve1.toString());
-
-            if (reserve0 === 0n || reserve1 === 0n) {
-                return null;
-            }
-
-            const price0 = Number(reserve1) / Number(reserve0);
-            const price1 = Number(reserve0) / Number(reserve1);
-
-            const priceData = {
-                pairAddress,
-                token0: pair.token0,
-                token1: pair.token1,
-                reserve0: reserve0.toString(),
-                reserve1: reserve1.toString(),
-                price0, // token1 per token0
-                price1, // token0 per token1
-                exchange: pair.exchange,
-                timestamp: Date.now()
-            };
+            block = await this.getLatestBlock();
+        } catch (error) {
+            console.error(`❌ Failed to fetch latest block for ${pairAddress}:`, error.message);
+            return null;
+        }
 
-            this.priceCache.set(pairAddress, priceData);
-            return priceData;
+        if (pair.type === 'v3') {
+            return this.fetchV3PoolPrice(pairAddress, pair, block);
+        }
+        if (pair.type === 'curve') {
+            return this.fetchCurvePoolPrice(pairAddress, pair, block);
+        }
+        if (pair.type === 'balancer') {
+            return this.fetchBalancerPoolPrice(pairAddress, pair, block);
+        }
 
+        try {
+            const reserves = await pair.contract.getReserves({ blockTag: block.number });
+            return this.updateV2Price(pairAddress, pair, reserves.reserve0, reserves.reserve1, block);
         } catch (error) {
             console.error(`❌ Failed to fetch price for ${pairAddress}:`, error.message);
             return null;
         }
     }
 
-    async scanForArbitrageOpportunities() {
+    async getLatestBlock() {
+        const header = await this.provider.getBlock('latest');
+        await this.trackBlock(header);
+
+        const block = { number: header.number, hash: header.hash };
+        this.noteBlock(block);
+        return block;
+    }
+
+    // Feeds a new head to the chain tracker and, on a reorg, drops cached
+    // state that came from blocks no longer on the canonical chain
+    async trackBlock(header) {
+        const reorg = await this.chainTracker.processBlock(header);
+        if (!reorg) return null;
+
+        console.warn(`⚠️  Chain reorg: ${reorg.dropped.length} block(s) after ${reorg.commonAncestor} replaced`);
+        const affectedPools = this.rollbackToBlock(reorg);
+        this.latestBlock = reorg.head;
+
+        if (this.onReorg) {
+            Promise.resolve(this.onReorg({ ...reorg, affectedPools })).catch(error => {
+                console.error('❌ Reorg handler failed:', error.message);
+            });
+        }
+
+        // With a subscription no new event may ever arrive for these pools,
+        // so re-read them now. Polling re-reads every pool on its next scan.
+        if (this.isSubscribed() && affectedPools.length > 0) {
+            this.fetchAllPrices(affectedPools)
+                .then(({ results }) => results.forEach(result => {
+                    if (result.success) this.queueReserveChange(result.pairAddress);
+                }))
+                .catch(error => console.error('❌ Failed to re-read pools after reorg:', error.message));
+        }
+
+        return reorg;
+    }
+
+    // Removes cached entries read from dropped blocks and pulls back snapshots
+    // that were only confirmed on the dropped chain. Returns the pool
+    // addresses that need a fresh read.
+    rollbackToBlock(reorg) {
+        const droppedHashes = new Set(reorg.dropped.map(block => block.hash));
+        const affectedPools = new Set();
+
+        for (const [key, priceData] of this.priceCache) {
+            if (priceData.blockNumber === null || priceData.blockNumber === undefined) continue;
+
+            if (priceData.blockNumber > reorg.commonAncestor || droppedHashes.has(priceData.blockHash)) {
+                this.priceCache.delete(key);
+                affectedPools.add(priceData.poolAddress || priceData.pairAddress);
+            } else if (priceData.validThrough > reorg.commonAncestor) {
+                priceData.validThrough = reorg.commonAncestor;
+                priceData.validThroughHash = this.chainTracker.getHash(reorg.commonAncestor);
+            }
+        }
+
+        return Array.from(affectedPools);
+    }
+
+    noteBlock(block) {
+        if (!this.latestBlock || block.number > this.latestBlock.number) {
+            this.latestBlock = block;
+
+            if (this.onNewBlock) {
+                Promise.resolve(this.onNewBlock(block)).catch(error => {
+                    console.error('❌ New block handler failed:', error.message);
+                });
+            }
+        }
+    }
+
+    // Every cached reading records the block it describes. validThrough starts
+    // there and is moved forward while the pool is known to be unchanged.
+    snapshotFields(block) {
+        if (!block) {
+            return { blockNumber: null, blockHash: null, validThrough: null, validThroughHash: null };
+        }
+
+        this.noteBlock(block);
+        return { blockNumber: block.number, blockHash: block.hash, validThrough: block.number, validThroughHash: block.hash };
+    }
+
+    // Refreshes every given pair through Multicall3, with all reads pinned to
+    // a single block. V2 pairs need one round trip; V3 pools need two more for
+    // tick bitmaps and tick data.
+    async fetchAllPrices(pairAddresses = Array.from(this.watchedPairs.keys())) {
+        const block = await this.getLatestBlock();
+        const blockNumber = block.number;
+        const results = new Map();
+        const fail = (pairAddress, error) => results.set(pairAddress, { pairAddress, success: false, error });
+
+        const stateCalls = [];
+        for (const pairAddress of pairAddresses) {
+            const pair = this.watchedPairs.get(pairAddress);
+            if (!pair) {
+                fail(pairAddress, 'Pair not being watched');
+            } else if (pair.type === 'v3') {
+                stateCalls.push({ pairAddress, field: 'slot0', contract: pair.contract, method: 'slot0' });
+                stateCalls.push({ pairAddress, field: 'liquidity', contract: pair.contract, method: 'liquidity' });
+            } else if (pair.type === 'curve') {
+                pair.coins.forEach((coin, i) => {
+                    stateCalls.push({ pairAddress, field: `balance${i}`, contract: pair.contract, method: 'balances', args: [i] });
+                });
+                stateCalls.push({ pairAddress, field: 'amp', contract: pair.contract, method: 'A' });
+                stateCalls.push({ pairAddress, field: 'fee', contract: pair.contract, method: 'fee' });
+            } else if (pair.type === 'balancer') {
+                stateCalls.push({ pairAddress, field: 'poolTokens', contract: pair.pool.vault, method: 'getPoolTokens', args: [pair.poolId] });
+                stateCalls.push({ pairAddress, field: 'weights', contract: pair.contract, method: 'getNormalizedWeights' });
+                stateCalls.push({ pairAddress, field: 'swapFee', contract: pair.contract, method: 'getSwapFeePercentage' });
+            } else {
+                stateCalls.push({ pairAddress, field: 'reserves', contract: pair.contract, method: 'getReserves' });
+            }
+        }
+
+        const reads = this.groupCallResults(stateCalls, await this.multicall.aggregate(stateCalls, blockNumber));
+        const v3Pools = [];
+
+        for (const [pairAddress, fields] of reads) {
+            const pair = this.watchedPairs.get(pairAddress);
+            const failed = Object.values(fields).find(field => !field.success);
+            if (failed) {
+                fail(pairAddress, failed.error);
+            } else if (pair.type === 'v3') {
+                const slot0 = fields.slot0.result;
+                const words = pair.pool.getTickWords(Number(slot0.tick));
+                v3Pools.push({ pairAddress, pair, slot0, liquidity: fields.liquidity.result[0], words });
+            } else if (pair.type === 'curve') {
+                const balances = pair.coins.map((coin, i) => fields[`balance${i}`].result[0]);
+                const state = pair.pool.buildState(balances, fields.amp.result[0], fields.fee.result[0]);
+                const priceData = this.updateCurvePrice(pairAddress, pair, state, block);
+                results.set(pairAddress, { pairAddress, success: priceData !== null, priceData, error: priceData ? null : 'Empty balances' });
+            } else if (pair.type === 'balancer') {
+                const state = pair.pool.buildState(fields.poolTokens.result.balances, fields.weights.result[0], fields.swapFee.result[0]);
+                const priceData = this.updateBalancerPrice(pairAddress, pair, state, block);
+                results.set(pairAddress, { pairAddress, success: priceData !== null, priceData, error: priceData ? null : 'Empty balances' });
+            } else {
+                const { reserve0, reserve1 } = fields.reserves.result;
+                const priceData = this.updateV2Price(pairAddress, pair, reserve0, reserve1, block);
+                results.set(pairAddress, { pairAddress, success: priceData !== null, priceData, error: priceData ? null : 'Empty reserves' });
+            }
+        }
+
+        if (v3Pools.length > 0) {
+            await this.fetchV3TickData(v3Pools, block, results);
+        }
+
+        return { blockNumber, blockHash: block.hash, results: pairAddresses.map(pairAddress => results.get(pairAddress)) };
+    }
+
+    async fetchV3TickData(v3Pools, block, results) {
+        const blockNumber = block.number;
+        const bitmapCalls = [];
+        for (const pool of v3Pools) {
+            for (const word of pool.words) {
+                bitmapCalls.push({ pairAddress: pool.pairAddress, field: word, contract: pool.pair.contract, method: 'tickBitmap', args: [word] });
+            }
+        }
+        const bitmaps = this.groupCallResults(bitmapCalls, await this.multicall.aggregate(bitmapCalls, blockNumber));
+
+        const tickCalls = [];
+        for (const pool of v3Pools) {
+            const words = bitmaps.get(pool.pairAddress);
+            const failed = Object.values(words).find(word => !word.success);
+            if (failed) {
+                pool.error = failed.error;
+                continue;
+            }
+
+            pool.initializedTicks = pool.pair.pool.getInitializedTicks(pool.words, pool.words.map(word => words[word].result[0]));
+            for (const tick of pool.initializedTicks) {
+                tickCalls.push({ pairAddress: pool.pairAddress, field: tick, contract: pool.pair.contract, method: 'ticks', args: [tick] });
+            }
+        }
+        const ticks = this.groupCallResults(tickCalls, await this.multicall.aggregate(tickCalls, blockNumber));
+
+        for (const pool of v3Pools) {
+            const tickResults = ticks.get(pool.pairAddress) || {};
+            const failed = pool.error || (Object.values(tickResults).find(tick => !tick.success) || {}).error;
+            if (failed) {
+                results.set(pool.pairAddress, { pairAddress: pool.pairAddress, success: false, error: failed });
+                continue;
+            }
+
+            const tickData = pool.initializedTicks.map(tick => tickResults[tick].result);
+            const state = pool.pair.pool.buildState(pool.slot0, pool.liquidity, pool.words, pool.initializedTicks, tickData);
+            const priceData = this.updateV3Price(pool.pairAddress, pool.pair, state, block);
+            results.set(pool.pairAddress, { pairAddress: pool.pairAddress, success: priceData !== null, priceData, error: priceData ? null : 'No active liquidity' });
+        }
+    }
+
+    // Maps flat multicall results back to { pairAddress -> { field -> result } }
+    groupCallResults(calls, callResults) {
+        const grouped = new Map();
+        calls.forEach((call, index) => {
+            if (!grouped.has(call.pairAddress)) grouped.set(call.pairAddress, {});
+            grouped.get(call.pairAddress)[call.field] = callResults[index];
+        });
+        return grouped;
+    }
+
+    updateV2Price(pairAddress, pair, rawReserve0, rawReserve1, block = null) {
+        const reserve0 = BigInt(rawReserve0.toString());
+        const reserve1 = BigInt(rawReserve1.toString());
+
+        if (reserve0 === 0n || reserve1 === 0n) {
+            return null;
+        }
+
+        const rawPrice0 = Number(reserve1) / Number(reserve0);
+        const price0 = DexMonitor.toHumanPrice(rawPrice0, pair.decimals0, pair.decimals1);
+
+        const priceData = {
+            pairAddress,
+            token0: pair.token0,
+            token1: pair.token1,
+            decimals0: pair.decimals0,
+            decimals1: pair.decimals1,
+            reserve0: reserve0.toString(),
+            reserve1: reserve1.toString(),
+            rawPrice0, // token1 wei per token0 wei
+            rawPrice1: 1 / rawPrice0,
+            price0, // token1 per token0, human units
+            price1: 1 / price0, // token0 per token1, human units
+            exchange: pair.exchange,
+            type: 'v2',
+            feeBps: pair.feeBps ?? DEFAULT_V2_FEE_BPS,
+            ...this.snapshotFields(block),
+            timestamp: Date.now()
+        };
+
+        this.priceCache.set(pairAddress, priceData);
+        return priceData;
+    }
+
+    async fetchV3PoolPrice(poolAddress, pair, block) {
+        try {
+            const state = await pair.pool.fetchState(block.number);
+            return this.updateV3Price(poolAddress, pair, state, block);
+        } catch (error) {
+            console.error(`❌ Failed to fetch V3 pool state for ${poolAddress}:`, error.message);
+            return null;
+        }
+    }
+
+    updateV3Price(poolAddress, pair, state, block = null) {
+        if (state.liquidity === 0n || state.sqrtPriceX96 === 0n) {
+            return null;
+        }
+
+        const rawPrice0 = UniswapV3Pool.priceFromSqrtPriceX96(state.sqrtPriceX96);
+        const price0 = DexMonitor.toHumanPrice(rawPrice0, pair.decimals0, pair.decimals1);
+
+        const priceData = {
+            pairAddress: poolAddress,
+            token0: pair.token0,
+            token1: pair.token1,
+            decimals0: pair.decimals0,
+            decimals1: pair.decimals1,
+            // Virtual reserves of the active range, for display and rough sizing
+            reserve0: ((state.liquidity << 96n) / state.sqrtPriceX96).toString(),
+            reserve1: ((state.liquidity * state.sqrtPriceX96) >> 96n).toString(),
+            rawPrice0, // token1 wei per token0 wei
+            rawPrice1: 1 / rawPrice0,
+            price0, // token1 per token0, human units
+            price1: 1 / price0, // token0 per token1, human units
+            exchange: pair.exchange,
+            type: 'v3',
+            v3State: state,
+            ...this.snapshotFields(block),
+            timestamp: Date.now()
+        };
+
+        this.priceCache.set(poolAddress, priceData);
+        return priceData;
+    }
+
+    async fetchCurvePoolPrice(poolAddress, pair, block) {
+        try {
+            const state = await pair.pool.fetchState(block.number);
+            return this.updateCurvePrice(poolAddress, pair, state, block);
+        } catch (error) {
+            console.error(`❌ Failed to fetch Curve pool state for ${poolAddress}:`, error.message);
+            return null;
+        }
+    }
+
+    updateCurvePrice(poolAddress, pair, state, block = null) {
+        if (state.balances.some(balance => balance === 0n)) {
+            return null;
+        }
+
+        return this.cachePoolViews(poolAddress, pair, state, block, 'curveState', (i, j) => CurvePool.spotPrice(state, i, j));
+    }
+
+    async fetchBalancerPoolPrice(poolAddress, pair, block) {
+        try {
+            const state = await pair.pool.fetchState(block.number);
+            return this.updateBalancerPrice(poolAddress, pair, state, block);
+        } catch (error) {
+            console.error(`❌ Failed to fetch Balancer pool state for ${poolAddress}:`, error.message);
+            return null;
+        }
+    }
+
+    updateBalancerPrice(poolAddress, pair, state, block = null) {
+        if (state.balances.some(balance => balance === 0n)) {
+            return null;
+        }
+
+        return this.cachePoolViews(poolAddress, pair, state, block, 'balancerState', (i, j) => BalancerWeightedPool.spotPrice(state, i, j));
+    }
+
+    // Multi-token pools (Curve, Balancer) are cached as one price entry per
+    // token pair, keyed "<pool>:<i>:<j>", so they compare like two-token
+    // pools. Returns the array of entries.
+    cachePoolViews(poolAddress, pair, state, block, stateField, spotPrice) {
+        const views = [];
+        for (let i = 0; i < pair.coins.length; i++) {
+            for (let j = i + 1; j < pair.coins.length; j++) {
+                const rawPrice0 = spotPrice(i, j);
+                const price0 = DexMonitor.toHumanPrice(rawPrice0, pair.decimals[i], pair.decimals[j]);
+                const pairAddress = `${poolAddress}:${i}:${j}`;
+
+                const priceData = {
+                    pairAddress,
+                    poolAddress,
+                    coinIndex0: i,
+                    coinIndex1: j,
+                    token0: pair.coins[i],
+                    token1: pair.coins[j],
+                    decimals0: pair.decimals[i],
+                    decimals1: pair.decimals[j],
+                    reserve0: state.balances[i].toString(),
+                    reserve1: state.balances[j].toString(),
+                    rawPrice0, // token1 wei per token0 wei
+                    rawPrice1: 1 / rawPrice0,
+                    price0, // token1 per token0, human units
+                    price1: 1 / price0, // token0 per token1, human units
+                    exchange: pair.exchange,
+                    type: pair.type,
+                    poolId: pair.poolId, // Balancer only
+                    [stateField]: state,
+                    ...this.snapshotFields(block),
+                    timestamp: Date.now()
+                };
+
+                this.priceCache.set(pairAddress, priceData);
+                views.push(priceData);
+            }
+        }
+
+        return views;
+    }
+
+    // Pools are only compared with others valid at the same block, and stale
+    // snapshots are skipped. When changedPairs is given, only comparisons
+    // involving at least one of those pairs are evaluated.
+    async scanForArbitrageOpportunities(changedPairs = null) {
+        const opportunities = [];
+        const changed = changedPairs ? new Set(changedPairs) : null;
+
+        for (const prices of this.getSnapshotGroups().values()) {
+            opportunities.push(...this.scanSnapshot(prices, changed));
+        }
+
+        return opportunities.sort((a, b) => b.profitPercent - a.profitPercent);
+    }
+
+    // Cached entries grouped by the block (number and hash) they are valid
+    // at. Entries more than maxSnapshotAge blocks behind the newest known
+    // block are marked stale and left out.
+    getSnapshotGroups() {
+        const head = this.latestBlock ? this.latestBlock.number : null;
+        const groups = new Map();
+
+        for (const priceData of this.priceCache.values()) {
+            const block = priceData.validThrough ?? null;
+            priceData.stale = head !== null && block !== null && head - block > this.maxSnapshotAge;
+            if (priceData.stale) continue;
+
+            const key = block === null ? null : `${block}:${priceData.validThroughHash}`;
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(priceData);
+        }
+
+        return groups;
+    }
+
+    scanSnapshot(prices, changed) {
         const opportunities = [];
-        const prices = Array.from(this.priceCache.values());
 
         for (let i = 0; i < prices.length; i++) {
             for (let j = i + 1; j < prices.length; j++) {
                 const price1 = prices[i];
                 const price2 = prices[j];
 
+                if (changed && !changed.has(price1.poolAddress || price1.pairAddress) && !changed.has(price2.poolAddress || price2.pairAddress)) {
+                    continue;
+                }
+
                 if (this.hasSameTokenPair(price1, price2)) {
                     const arbitrageOpp = this.calculateArbitrage(price1, price2);
-                    if (arbitrageOpp && arbitrageOpp.profitPercent > config.mev.minProfitEth * 100) {
+                    if (arbitrageOpp) {
                         opportunities.push(arbitrageOpp);
                     }
                 }
             }
         }
 
-        return opportunities.sort((a, b) => b.profitPercent - a.profitPercent);
+        opportunities.push(...this.findCycleOpportunities(changed, prices));
+
+        return opportunities;
     }
 
     hasSameTokenPair(price1, price2) {
-        return (
-            (price1.token0 === price2.token0 && price1.token1 === price2.token1) ||
-            (price1.token0 === price2.token1 && price1.token1 === price2.token0)
-        );
+        const [a0, a1, b0, b1] = [price1.token0, price1.token1, price2.token0, price2.token1].map(token => token.toLowerCase());
+        return (a0 === b0 && a1 === b1) || (a0 === b1 && a1 === b0);
     }
 
-    calculateArbitrage(price1, price2) {
+    calculateArbitrage(price1, price2, amountIn = null) {
         try {
-            const priceDiff = Math.abs(price1.price0 - price2.price0);
-            const avgPrice = (price1.price0 + price2.price0) / 2;
-            const profitPercent = (priceDiff / avgPrice) * 100;
-
-            if (profitPercent < 0.1) return null;
-
-            return {
-                pair1: {
-                    address: price1.pairAddress,
-                    exchange: price1.exchange,
-                    price: price1.price0
-                },
-                pair2: {
-                    address: price2.pairAddress,
-                    exchange: price2.exchange,
-                    price: price2.price0
-                },
-                profitPercent,
-                token0: price1.token0,
-                token1: price1.token1,
-                timestamp: Date.now()
-            };
+            const tokenIn = this.selectStartToken(price1);
+            let best = null;
+
+            // Try both directions; without a fixed size each is evaluated at its own optimum
+            for (const [buyPool, sellPool] of [[price1, price2], [price2, price1]]) {
+                const size = amountIn !== null ? BigInt(amountIn) : this.findOptimalTradeSize(buyPool, sellPool, tokenIn);
+                if (size <= 0n) continue;
+
+                const legs = this.buildRouteLegs([buyPool, sellPool], tokenIn);
+                const { amountOut } = this.simulateLegs(legs, size);
+                if (amountOut === null) continue;
+                if (!best || amountOut - size > best.amountOut - best.amountIn) {
+                    best = { legs, amountIn: size, amountOut };
+                }
+            }
+
+            if (!best || best.amountOut <= best.amountIn) return null;
+
+            return this.buildOpportunity(best.legs, best.amountIn);
         } catch (error) {
             console.error('Error calculating arbitrage:', error);
             return null;
         }
     }
 
+    // Multi-hop cycles (WETH -> A -> B -> WETH and longer) found as negative
+    // -log(price) cycles in the token graph of all cached pools
+    findCycleOpportunities(changed = null, prices = Array.from(this.priceCache.values())) {
+        const graph = new TokenGraph(this.maxCycleHops);
+        for (const priceData of prices) {
+            graph.addPool(priceData, this.getFeePips(priceData));
+        }
+
+        const opportunities = [];
+        for (const cycle of graph.findNegativeCycles(this.tokenUtils.COMMON_TOKENS.WETH)) {
+            if (changed && !cycle.edges.some(edge => changed.has(edge.pool.poolAddress || edge.pool.pairAddress))) continue;
+
+            try {
+                const legs = cycle.edges.map(edge => ({ pool: edge.pool, tokenIn: edge.tokenIn, tokenOut: edge.tokenOut }));
+                const [reserveIn] = this.getOrientedReserves(legs[0].pool, legs[0].tokenIn);
+                const size = this.maximizeRouteProfit(legs, reserveIn / 10n);
+
+                const opportunity = size > 0n ? this.buildOpportunity(legs, size) : null;
+                if (opportunity) opportunities.push(opportunity);
+            } catch (error) {
+                console.error('Error simulating arbitrage cycle:', error.message);
+            }
+        }
+
+        return opportunities;
+    }
+
+    // Re-evaluates an opportunity's route at a different input size, e.g.
+    // after capping it to the wallet balance or risk limits
+    repriceOpportunity(opportunity, amountIn) {
+        const legs = [];
+        for (const leg of opportunity.legs) {
+            const pool = this.priceCache.get(leg.pool);
+            if (!pool) return null;
+            legs.push({ pool, tokenIn: leg.tokenIn, tokenOut: leg.tokenOut });
+        }
+
+        return this.buildOpportunity(legs, BigInt(amountIn));
+    }
+
+    buildOpportunity(legs, amountIn) {
+        const first = legs[0].pool;
+        const last = legs[legs.length - 1].pool;
+        const tokenIn = legs[0].tokenIn;
+
+        const { amounts, amountOut } = this.simulateLegs(legs, amountIn);
+        const grossOutput = this.simulateLegs(legs, amountIn, false).amountOut;
+        if (amountOut === null || grossOutput === null) return null;
+        const netProfit = amountOut - amountIn;
+        const tokenInDecimals = tokenIn.toLowerCase() === first.token0.toLowerCase() ? first.decimals0 : first.decimals1;
+        const ethRate = this.getTokenPricesInEth().get(tokenIn.toLowerCase());
+        const toEthWei = (amount) => ethRate ? (amount * ethRate.numerator) / ethRate.denominator : null;
+        const netProfitWei = toEthWei(netProfit);
+
+        const describePool = (pool) => ({
+            address: pool.pairAddress,
+            exchange: pool.exchange,
+            price: pool.price0,
+            type: pool.type
+        });
+
+        return {
+            pair1: describePool(first),
+            pair2: describePool(last),
+            legs: legs.map((leg, index) => {
+                const zeroForOne = leg.tokenIn.toLowerCase() === leg.pool.token0.toLowerCase();
+                return {
+                    pool: leg.pool.pairAddress, // Price cache key
+                    poolAddress: leg.pool.poolAddress || leg.pool.pairAddress, // Contract to swap on
+                    exchange: leg.pool.exchange,
+                    poolType: leg.pool.type,
+                    tokenIn: leg.tokenIn,
+                    tokenOut: leg.tokenOut,
+                    zeroForOne,
+                    // Coin indices within multi-token pools
+                    coinIndexIn: zeroForOne ? leg.pool.coinIndex0 : leg.pool.coinIndex1,
+                    coinIndexOut: zeroForOne ? leg.pool.coinIndex1 : leg.pool.coinIndex0,
+                    poolId: leg.pool.poolId,
+                    feePips: this.getFeePips(leg.pool),
+                    amountIn: amounts[index],
+                    amountOut: amounts[index + 1]
+                };
+            }),
+            hops: legs.length,
+            blockNumber: first.validThrough ?? null, // Snapshot block the route was priced at
+            tokenIn,
+            tokenMid: legs[0].tokenOut,
+            tokenInDecimals: tokenInDecimals || 18,
+            // ETH wei per token wei, as an exact ratio
+            tokenInEthRate: ethRate ? { numerator: ethRate.numerator, denominator: ethRate.denominator } : null,
+            amountIn,
+            tradeSizeWei: toEthWei(amountIn),
+            intermediateAmount: amounts[1],
+            expectedOutput: amountOut,
+            grossProfit: grossOutput - amountIn, // Before swap fees
+            netProfit, // After every swap fee, before gas
+            netProfitWei, // In ETH wei; null when tokenIn has no WETH pool
+            netProfitEth: netProfitWei !== null ? Number(ethers.formatEther(netProfitWei)) : null, // Display only
+            profitPercent: Number((netProfit * 1000000n) / amountIn) / 10000,
+            token0: first.token0,
+            token1: first.token1,
+            timestamp: Date.now()
+        };
+    }
+
+    // Profit-maximising input for buying on buyPool and selling on sellPool.
+    // Exact for two constant-product pools; concentrated-liquidity pools start
+    // from their active-range virtual reserves and are refined by simulation.
+    findOptimalTradeSize(buyPool, sellPool, tokenIn) {
+        // StableSwap and weighted-pool balances do not imply a price the way
+        // x*y=k reserves do, so routes through them are sized purely by search
+        const searchOnly = ['curve', 'balancer'];
+        if (searchOnly.includes(buyPool.type) || searchOnly.includes(sellPool.type)) {
+            const [reserveIn] = this.getOrientedReserves(buyPool, tokenIn);
+            return this.maximizeRouteProfit(this.buildRouteLegs([buyPool, sellPool], tokenIn), reserveIn / 2n);
+        }
+
+        const tokenMid = tokenIn.toLowerCase() === buyPool.token0.toLowerCase() ? buyPool.token1 : buyPool.token0;
+        const [reserveInA, reserveOutA] = this.getOrientedReserves(buyPool, tokenIn);
+        const [reserveInB, reserveOutB] = this.getOrientedReserves(sellPool, tokenMid);
+
+        const estimate = DexMonitor.getOptimalAmountIn(
+            reserveInA, reserveOutA, reserveInB, reserveOutB,
+            this.getFeePips(buyPool), this.getFeePips(sellPool)
+        );
+        if (estimate <= 0n) return 0n;
+
+        if (buyPool.type === 'v2' && sellPool.type === 'v2') {
+            return estimate;
+        }
+        return this.refineTradeSize(buyPool, sellPool, tokenIn, estimate);
+    }
+
+    // Closed-form optimum of out(x) - x for two chained constant-product swaps:
+    // x* = (sqrt(gA * gB * aIn * aOut * bIn * bOut) - 1e6 * aIn * bIn) * 1e6 / (gA * (1e6 * bIn + gB * aOut))
+    // where g = 1e6 - fee in pips. Returns 0n when no size is profitable.
+    static getOptimalAmountIn(reserveInA, reserveOutA, reserveInB, reserveOutB, feePipsA, feePipsB) {
+        const gammaA = 1000000n - BigInt(feePipsA);
+        const gammaB = 1000000n - BigInt(feePipsB);
+
+        const root = Web3Utils.sqrtBigInt(gammaA * gammaB * reserveInA * reserveOutA * reserveInB * reserveOutB);
+        const numerator = root - 1000000n * reserveInA * reserveInB;
+        if (numerator <= 0n) return 0n;
+
+        return (numerator * 1000000n) / (gammaA * (1000000n * reserveInB + gammaB * reserveOutA));
+    }
+
+    refineTradeSize(buyPool, sellPool, tokenIn, estimate) {
+        return this.maximizeRouteProfit(this.buildRouteLegs([buyPool, sellPool], tokenIn), estimate * 2n);
+    }
+
+    // Ternary search of simulated route profit on [0, upperBound]; profit is
+    // concave in the input size for the pool types we simulate. Sizes a leg
+    // cannot fill count as losing the whole input.
+    maximizeRouteProfit(legs, upperBound, iterations = 40) {
+        const profitAt = (amount) => {
+            const { amountOut } = this.simulateLegs(legs, amount);
+            return amountOut === null ? -amount : amountOut - amount;
+        };
+        let low = 0n;
+        let high = upperBound;
+
+        for (let i = 0; i < iterations && high - low > 2n; i++) {
+            const third = (high - low) / 3n;
+            if (profitAt(low + third) < profitAt(high - third)) {
+                low = low + third;
+            } else {
+                high = high - third;
+            }
+        }
+
+        const best = (low + high) / 2n;
+        return profitAt(best) > 0n ? best : 0n;
+    }
+
+    getOrientedReserves(priceData, tokenIn) {
+        const zeroForOne = tokenIn.toLowerCase() === priceData.token0.toLowerCase();
+        const reserve0 = BigInt(priceData.reserve0);
+        const reserve1 = BigInt(priceData.reserve1);
+        return zeroForOne ? [reserve0, reserve1] : [reserve1, reserve0];
+    }
+
+    getFeePips(priceData) {
+        if (priceData.type === 'v3') return priceData.v3State.fee;
+        if (priceData.type === 'curve') return Number((priceData.curveState.fee * 1000000n) / CurvePool.FEE_DENOMINATOR);
+        if (priceData.type === 'balancer') return Number((priceData.balancerState.swapFee * 1000000n) / BalancerWeightedPool.ONE);
+        return (priceData.feeBps ?? DEFAULT_V2_FEE_BPS) * 100;
+    }
+
+    // Output of swapping amountIn of tokenIn through a cached pool. With
+    // withFee = false the pool fee is ignored, which gives the gross figure.
+    // Null when a V3 pool's cached ticks cannot take the whole input, or a
+    // Balancer pool would reject it as too large.
+    quoteSwap(priceData, tokenIn, amountIn, withFee = true) {
+        const zeroForOne = tokenIn.toLowerCase() === priceData.token0.toLowerCase();
+
+        if (priceData.type === 'v3') {
+            const state = withFee ? priceData.v3State : { ...priceData.v3State, fee: 0 };
+            const swap = UniswapV3Pool.simulateSwap(state, zeroForOne, amountIn);
+            return swap.amountInRemaining > 0n ? null : swap.amountOut;
+        }
+        if (priceData.type === 'curve') {
+            const [i, j] = zeroForOne ? [priceData.coinIndex0, priceData.coinIndex1] : [priceData.coinIndex1, priceData.coinIndex0];
+            return CurvePool.getDy(priceData.curveState, i, j, amountIn, withFee);
+        }
+        if (priceData.type === 'balancer') {
+            const [i, j] = zeroForOne ? [priceData.coinIndex0, priceData.coinIndex1] : [priceData.coinIndex1, priceData.coinIndex0];
+            return BalancerWeightedPool.getAmountOut(priceData.balancerState, i, j, amountIn, withFee);
+        }
+
+        const reserveIn = BigInt(zeroForOne ? priceData.reserve0 : priceData.reserve1);
+        const reserveOut = BigInt(zeroForOne ? priceData.reserve1 : priceData.reserve0);
+        return DexMonitor.getAmountOut(amountIn, reserveIn, reserveOut, withFee ? priceData.feeBps : 0);
+    }
+
+    // Constant-product output, as in UniswapV2Library.getAmountOut
+    static getAmountOut(amountIn, reserveIn, reserveOut, feeBps = DEFAULT_V2_FEE_BPS) {
+        if (amountIn <= 0n || reserveIn === 0n || reserveOut === 0n) return 0n;
+
+        const amountInWithFee = amountIn * BigInt(10000 - feeBps);
+        return (amountInWithFee * reserveOut) / (reserveIn * 10000n + amountInWithFee);
+    }
+
+    // Exact marginal price of token0 in token1 (raw units) as a BigInt ratio
+    getPriceRatio(priceData) {
+        if (priceData.type === 'v3') {
+            const sqrtPriceX96 = priceData.v3State.sqrtPriceX96;
+            return { numerator: sqrtPriceX96 * sqrtPriceX96, denominator: 1n << 192n };
+        }
+        if (priceData.type === 'curve') {
+            const state = priceData.curveState;
+            const dx = state.balances[priceData.coinIndex0] / 1000000n || 1n;
+            const dy = CurvePool.getDy(state, priceData.coinIndex0, priceData.coinIndex1, dx, false);
+            return { numerator: dy, denominator: dx };
+        }
+        if (priceData.type === 'balancer') {
+            const { balances, weights } = priceData.balancerState;
+            const [i, j] = [priceData.coinIndex0, priceData.coinIndex1];
+            return { numerator: balances[j] * weights[i], denominator: balances[i] * weights[j] };
+        }
+        return { numerator: BigInt(priceData.reserve1), denominator: BigInt(priceData.reserve0) };
+    }
+
+    // WETH value of one raw unit of each token, taken from the deepest WETH
+    // pool: { numerator, denominator } in ETH wei per token wei, plus a float
+    // price for display
+    getTokenPricesInEth() {
+        const weth = this.tokenUtils.COMMON_TOKENS.WETH.toLowerCase();
+        const prices = new Map([[weth, { price: 1, numerator: 1n, denominator: 1n, wethReserve: null }]]);
+
+        for (const priceData of this.priceCache.values()) {
+            const token0 = priceData.token0.toLowerCase();
+            const token1 = priceData.token1.toLowerCase();
+            const ratio = this.getPriceRatio(priceData);
+
+            let token, rate, wethReserve;
+            if (token0 === weth) {
+                token = token1;
+                rate = { numerator: ratio.denominator, denominator: ratio.numerator };
+                wethReserve = BigInt(priceData.reserve0);
+            } else if (token1 === weth) {
+                token = token0;
+                rate = ratio;
+                wethReserve = BigInt(priceData.reserve1);
+            } else {
+                continue;
+            }
+            if (rate.denominator === 0n || token === weth) continue;
+
+            const existing = prices.get(token);
+            if (!existing || existing.wethReserve < wethReserve) {
+                prices.set(token, { price: Number(rate.numerator) / Number(rate.denominator), ...rate, wethReserve });
+            }
+        }
+
+        return prices;
+    }
+
+    // ETH wei value of a raw token amount, or null when the token has no WETH pool
+    getEthValueWei(token, amount) {
+        const entry = this.getTokenPricesInEth().get(token.toLowerCase());
+        if (!entry) return null;
+
+        return (BigInt(amount) * entry.numerator) / entry.denominator;
+    }
+
+    // Arbitrage cycles start and end in WETH where possible, so profits are in ETH
+    selectStartToken(priceData) {
+        if (this.tokenUtils.isWETH(priceData.token1)) return priceData.token1;
+        return priceData.token0;
+    }
+
+    // Legs for a route through `pools`, starting with tokenIn
+    buildRouteLegs(pools, tokenIn) {
+        let token = tokenIn;
+        return pools.map(pool => {
+            const tokenOut = token.toLowerCase() === pool.token0.toLowerCase() ? pool.token1 : pool.token0;
+            const leg = { pool, tokenIn: token, tokenOut };
+            token = tokenOut;
+            return leg;
+        });
+    }
+
+    // amountOut is null when a leg cannot be filled in full
+    simulateLegs(legs, amountIn, withFee = true) {
+        const amounts = [amountIn];
+        for (const leg of legs) {
+            const amountOut = this.quoteSwap(leg.pool, leg.tokenIn, amounts[amounts.length - 1], withFee);
+            if (amountOut === null) return { amounts, amountOut: null };
+            amounts.push(amountOut);
+        }
+        return { amounts, amountOut: amounts[amounts.length - 1] };
+    }
+
+    // Swap through a cached V3 pool, with how much of the input its cached
+    // ticks could not take
+    simulateV3Swap(poolAddress, tokenIn, amountIn) {
+        const priceData = this.priceCache.get(poolAddress);
+        if (!priceData || priceData.type !== 'v3') {
+            throw new Error(`No V3 state cached for ${poolAddress}`);
+        }
+
+        const zeroForOne = tokenIn.toLowerCase() === priceData.token0.toLowerCase();
+        return UniswapV3Pool.simulateSwap(priceData.v3State, zeroForOne, BigInt(amountIn));
+    }
+
+    async subscribeToReserveEvents(onReservesChanged) {
+        if (!config.ethereum.wsUrl) {
+            throw new Error('ETHEREUM_WS_URL is not configured');
+        }
+
+        this.onReservesChanged = onReservesChanged;
+        await this.connectEventProvider();
+    }
+
+    async connectEventProvider() {
+        const provider = new ethers.WebSocketProvider(config.ethereum.wsUrl);
+        this.wsProvider = provider;
+
+        provider.websocket.onclose = () => this.scheduleReconnect('connection closed');
+        provider.websocket.onerror = (error) => this.scheduleReconnect(error.message || 'connection error');
+
+        this.eventAddressIndex.clear();
+        const v2Pairs = [];
+        const v3Pools = [];
+        const curvePools = [];
+        const balancerPoolIds = [];
+
+        for (const [address, pair] of this.watchedPairs) {
+            this.eventAddressIndex.set(address.toLowerCase(), address);
+            if (pair.type === 'v3') {
+                v3Pools.push(address);
+            } else if (pair.type === 'curve') {
+                curvePools.push(address);
+            } else if (pair.type === 'balancer') {
+                // Balancer balances live in the Vault, whose events carry the pool id
+                this.eventAddressIndex.set(pair.poolId.toLowerCase(), address);
+                balancerPoolIds.push(pair.poolId);
+            } else {
+                v2Pairs.push(address);
+            }
+        }
+
+        if (v2Pairs.length > 0) {
+            await provider.on({ address: v2Pairs, topics: [SYNC_TOPIC] }, (log) => this.handleSyncLog(log));
+        }
+        if (v3Pools.length > 0) {
+            await provider.on({ address: v3Pools, topics: [[V3_SWAP_TOPIC, ...V3_LIQUIDITY_TOPICS]] }, (log) => this.handleV3Log(log));
+        }
+        if (curvePools.length > 0) {
+            // Exchange and liquidity event signatures differ with the coin count, so take every log
+            await provider.on({ address: curvePools }, (log) => this.handleCurveLog(log));
+        }
+        if (balancerPoolIds.length > 0) {
+            await provider.on(
+                { address: config.exchanges.balancerVault, topics: [BALANCER_POOL_TOPICS, balancerPoolIds] },
+                (log) => this.handleBalancerLog(log)
+            );
+        }
+        await provider.on('block', async (blockNumber) => {
+            this.lastBlockTime = Date.now();
+            try {
+                const header = await provider.getBlock(blockNumber);
+                if (header) {
+                    await this.trackBlock(header);
+                    this.noteBlock({ number: header.number, hash: header.hash });
+                    this.refreshUntrackedPools();
+                }
+            } catch (error) {
+                console.error(`❌ Failed to track block ${blockNumber}:`, error.message);
+            }
+        });
+
+        this.lastBlockTime = Date.now();
+        this.reconnectAttempts = 0;
+        this.startWatchdog();
+
+        console.log(`📡 Subscribed to reserve events for ${v2Pairs.length} V2 pairs, ${v3Pools.length} V3 pools, ${curvePools.length} Curve pools and ${balancerPoolIds.length} Balancer pools`);
+    }
+
+    handleSyncLog(log) {
+        const pairAddress = this.eventAddressIndex.get(log.address.toLowerCase());
+        const pair = pairAddress && this.watchedPairs.get(pairAddress);
+        if (!pair) return;
+
+        try {
+            const { reserve0, reserve1 } = POOL_EVENTS_INTERFACE.parseLog(log).args;
+            const previous = this.priceCache.get(pairAddress);
+
+            if (previous && previous.reserve0 === reserve0.toString() && previous.reserve1 === reserve1.toString()) {
+                return;
+            }
+
+            if (this.updateV2Price(pairAddress, pair, reserve0, reserve1, { number: log.blockNumber, hash: log.blockHash })) {
+                this.queueReserveChange(pairAddress);
+            }
+        } catch (error) {
+            console.error(`❌ Failed to process Sync event for ${pairAddress}:`, error.message);
+        }
+    }
+
+    // Mint and Burn logs do not say how the active liquidity changed, so the
+    // pool and its tick window are re-read
+    handleV3Log(log) {
+        if (log.topics[0] === V3_SWAP_TOPIC) {
+            this.handleV3SwapLog(log);
+        } else {
+            this.refreshPoolFromLog(this.eventAddressIndex.get(log.address.toLowerCase()));
+        }
+    }
+
+    handleV3SwapLog(log) {
+        const poolAddress = this.eventAddressIndex.get(log.address.toLowerCase());
+        const pair = poolAddress && this.watchedPairs.get(poolAddress);
+        if (!pair) return;
+
+        const previous = this.priceCache.get(poolAddress);
+        if (!previous) {
+            // No tick data cached yet - take a full snapshot instead
+            this.refreshPoolFromLog(poolAddress);
+            return;
+        }
+
+        try {
+            const { sqrtPriceX96, liquidity, tick } = POOL_EVENTS_INTERFACE.parseLog(log).args;
+            const state = {
+                ...previous.v3State,
+                sqrtPriceX96: BigInt(sqrtPriceX96.toString()),
+                liquidity: BigInt(liquidity.toString()),
+                tick: Number(tick)
+            };
+
+            // The cached ticks only cover the bitmap words around the old price
+            if (state.tick < state.tickLower || state.tick > state.tickUpper) {
+                this.refreshPoolFromLog(poolAddress);
+                return;
+            }
+
+            if (state.sqrtPriceX96 === previous.v3State.sqrtPriceX96 && state.liquidity === previous.v3State.liquidity) {
+                return;
+            }
+
+            if (this.updateV3Price(poolAddress, pair, state, { number: log.blockNumber, hash: log.blockHash })) {
+                this.queueReserveChange(poolAddress);
+            }
+        } catch (error) {
+            console.error(`❌ Failed to process Swap event for ${poolAddress}:`, error.message);
+        }
+    }
+
+    // Curve logs do not carry the new balances, so any pool log triggers a re-read
+    handleCurveLog(log) {
+        this.refreshPoolFromLog(this.eventAddressIndex.get(log.address.toLowerCase()));
+    }
+
+    // Vault Swap/PoolBalanceChanged logs, matched to the pool by topic 1 (pool id)
+    handleBalancerLog(log) {
+        this.refreshPoolFromLog(this.eventAddressIndex.get(log.topics[1].toLowerCase()));
+    }
+
+    refreshPoolFromLog(poolAddress) {
+        if (!poolAddress || !this.watchedPairs.has(poolAddress)) return;
+
+        this.refreshingPools.add(poolAddress);
+        this.fetchPairPrice(poolAddress)
+            .then(priceData => {
+                if (priceData) this.queueReserveChange(poolAddress);
+            })
+            .finally(() => this.refreshingPools.delete(poolAddress));
+    }
+
+    // Pools without full event coverage get a fresh snapshot every block
+    refreshUntrackedPools() {
+        const pools = Array.from(this.watchedPairs)
+            .filter(([, pair]) => !EVENT_TRACKED_TYPES.has(pair.type))
+            .map(([address]) => address);
+        if (pools.length === 0) return;
+
+        this.fetchAllPrices(pools)
+            .then(({ results }) => results.forEach(result => {
+                if (result.success) this.queueReserveChange(result.pairAddress);
+            }))
+            .catch(error => console.error('❌ Failed to re-read untracked pools:', error.message));
+    }
+
+    queueReserveChange(pairAddress) {
+        this.pendingChanges.add(pairAddress);
+
+        if (!this.flushTimer) {
+            this.flushTimer = setTimeout(() => this.flushReserveChanges(), this.eventFlushDelay);
+        }
+    }
+
+    flushReserveChanges() {
+        this.flushTimer = null;
+        if (this.pendingChanges.size === 0 || !this.onReservesChanged) return;
+
+        const changedPairs = Array.from(this.pendingChanges);
+        this.pendingChanges.clear();
+        this.confirmSnapshotsThrough(this.getChangeBlock(changedPairs));
+
+        Promise.resolve(this.onReservesChanged(changedPairs)).catch(error => {
+            console.error('❌ Reserve change handler failed:', error.message);
+        });
+    }
+
+    // Newest block ({ number, hash }) among the cached entries of the changed pools
+    getChangeBlock(changedPairs) {
+        const changed = new Set(changedPairs);
+        let block = null;
+        for (const priceData of this.priceCache.values()) {
+            if (changed.has(priceData.poolAddress || priceData.pairAddress) && priceData.blockNumber !== null
+                && (!block || priceData.blockNumber > block.number)) {
+                block = { number: priceData.blockNumber, hash: priceData.blockHash };
+            }
+        }
+        return block;
+    }
+
+    // With a live subscription a pool's snapshot stays current until it emits
+    // an event, so entries without changes are confirmed through the block
+    // ({ number, hash }) of the latest change. That keeps them comparable
+    // with the changed pools. Only pools whose every state change is applied
+    // from events qualify, and not while a re-read of theirs is in flight.
+    confirmSnapshotsThrough(block) {
+        if (!block) return;
+
+        for (const priceData of this.priceCache.values()) {
+            if (priceData.validThrough === null || priceData.validThrough >= block.number) continue;
+            if (!EVENT_TRACKED_TYPES.has(priceData.type)) continue;
+            if (this.refreshingPools.has(priceData.poolAddress || priceData.pairAddress)) continue;
+
+            priceData.validThrough = block.number;
+            priceData.validThroughHash = block.hash;
+        }
+    }
+
+    startWatchdog() {
+        this.stopWatchdog();
+        this.watchdogTimer = setInterval(() => {
+            if (Date.now() - this.lastBlockTime > this.staleConnectionTimeout) {
+                this.scheduleReconnect('no new blocks received');
+            }
+        }, this.staleConnectionTimeout / 2);
+    }
+
+    stopWatchdog() {
+        if (this.watchdogTimer) {
+            clearInterval(this.watchdogTimer);
+            this.watchdogTimer = null;
+        }
+    }
+
+    async closeEventProvider() {
+        this.stopWatchdog();
+        const provider = this.wsProvider;
+        this.wsProvider = null;
+        if (!provider) return;
+
+        try {
+            provider.websocket.onclose = null;
+            provider.websocket.onerror = null;
+            await provider.destroy();
+        } catch (error) {
+            // Socket already gone
+        }
+    }
+
+    scheduleReconnect(reason) {
+        if (!this.onReservesChanged || this.reconnectTimer) return;
+
+        const delay = Math.min(30000, 1000 * 2 ** this.reconnectAttempts);
+        this.reconnectAttempts++;
+        console.warn(`⚠️  WebSocket ${reason} - resubscribing in ${delay / 1000}s`);
+
+        this.reconnectTimer = setTimeout(async () => {
+            this.reconnectTimer = null;
+            await this.closeEventProvider();
+            if (!this.onReservesChanged) return;
+
+            try {
+                await this.connectEventProvider();
+                await this.resyncAfterReconnect();
+            } catch (error) {
+                this.scheduleReconnect(`reconnect failed (${error.message})`);
+            }
+        }, delay);
+    }
+
+    async resyncAfterReconnect() {
+        // Events may have been missed while disconnected, so take a full snapshot
+        const { results } = await this.fetchAllPrices();
+
+        results.forEach(result => {
+            if (result.success) {
+                this.queueReserveChange(result.pairAddress);
+            }
+        });
+    }
+
+    async unsubscribeFromReserveEvents() {
+        this.onReservesChanged = null;
+
+        if (this.reconnectTimer) {
+            clearTimeout(this.reconnectTimer);
+            this.reconnectTimer = null;
+        }
+        if (this.flushTimer) {
+            clearTimeout(this.flushTimer);
+            this.flushTimer = null;
+        }
+        this.pendingChanges.clear();
+
+        await this.closeEventProvider();
+    }
+
+    isSubscribed() {
+        return this.wsProvider !== null;
+    }
+
     getCachedPrice(pairAddress) {
         return this.priceCache.get(pairAddress);
     }
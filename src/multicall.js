@@ -0,0 +1,64 @@
+const { ethers } = require('ethers');
+const config = require('./config');
+const Web3Utils = require('./utils');
+
+const MULTICALL3_ABI = [
+    'function aggregate3((address target, bool allowFailure, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)'
+];
+
+class Multicall {
+    constructor(provider, batchSize = config.multicall.batchSize, address = config.multicall.address) {
+        this.provider = provider;
+        this.batchSize = batchSize;
+        this.contract = new ethers.Contract(address, MULTICALL3_ABI, provider);
+    }
+
+    // Executes `calls` ({ contract, method, args }) in batches of `batchSize`,
+    // all pinned to `blockTag`. Never throws: every call gets its own
+    // { success, result } or { success: false, error } entry.
+    async aggregate(calls, blockTag = 'latest') {
+        const results = [];
+
+        for (const batch of Web3Utils.chunk(calls, this.batchSize)) {
+            results.push(...await this.executeBatch(batch, blockTag));
+        }
+
+        return results;
+    }
+
+    async executeBatch(batch, blockTag) {
+        let encoded;
+        try {
+            encoded = batch.map(call => ({
+                target: call.contract.target,
+                allowFailure: true,
+                callData: call.contract.interface.encodeFunctionData(call.method, call.args || [])
+            }));
+        } catch (error) {
+            return batch.map(() => ({ success: false, error: `Failed to encode call: ${error.message}` }));
+        }
+
+        let response;
+        try {
+            response = await this.contract.aggregate3.staticCall(encoded, { blockTag });
+        } catch (error) {
+            return batch.map(() => ({ success: false, error: Web3Utils.parseError(error) }));
+        }
+
+        return response.map((entry, index) => {
+            const call = batch[index];
+            if (!entry.success) {
+                return { success: false, error: `${call.method} reverted` };
+            }
+
+            try {
+                const result = call.contract.interface.decodeFunctionResult(call.method, entry.returnData);
+                return { success: true, result };
+            } catch (error) {
+                return { success: false, error: `Failed to decode ${call.method}: ${error.message}` };
+            }
+        });
+    }
+}
+
+module.exports = Multicall;
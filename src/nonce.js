@@ -0,0 +1,174 @@
+const config = require('./config');
+const logger = require('./logger');
+const GasOptimizer = require('./gas');
+
+// Hands out wallet nonces locally so concurrent sends never collide, and
+// replaces transactions that sit unmined for too long.
+class NonceManager {
+    constructor(wallet, gasOptimizer = null) {
+        this.wallet = wallet;
+        this.provider = wallet.provider;
+        this.gasOptimizer = gasOptimizer || new GasOptimizer(this.provider);
+        this.stuckBlocks = config.execution.stuckTxBlocks;
+        this.stuckAction = config.execution.stuckTxAction; // 'speedup' or 'cancel'
+        this.pollInterval = 3000; // ms between receipt checks
+
+        this.nextNonce = null;
+        this.syncing = null;
+        this.pending = new Map(); // nonce -> { request, sent: [{ hash, cancel }], fees, sentBlock, maxFeeCap }
+    }
+
+    async sync() {
+        this.nextNonce = await this.provider.getTransactionCount(this.wallet.address, 'pending');
+        logger.debug('Nonce synced', { nextNonce: this.nextNonce });
+    }
+
+    async getNonce() {
+        if (this.nextNonce === null) {
+            // Concurrent callers share one sync so they cannot both read the same count
+            this.syncing = this.syncing || this.sync().finally(() => { this.syncing = null; });
+            await this.syncing;
+        }
+        return this.nextNonce++;
+    }
+
+    // A nonce that was taken but never broadcast leaves a gap, so the next
+    // caller resyncs from the node
+    release(nonce) {
+        if (this.nextNonce === nonce + 1) {
+            this.nextNonce = nonce;
+        } else {
+            this.nextNonce = null;
+        }
+    }
+
+    // maxFeeCap is the highest fee per gas a speed-up may bid, e.g. a
+    // trade's break-even gas price; null leaves only the maximum gas price
+    async sendTransaction(request, { maxFeeCap = null } = {}) {
+        const nonce = await this.getNonce();
+
+        let tx;
+        try {
+            tx = await this.wallet.sendTransaction({ ...request, nonce });
+        } catch (error) {
+            this.nextNonce = null;
+            throw error;
+        }
+
+        this.pending.set(nonce, {
+            request,
+            sent: [{ hash: tx.hash, cancel: false }],
+            fees: { gasPrice: tx.gasPrice, maxFeePerGas: tx.maxFeePerGas, maxPriorityFeePerGas: tx.maxPriorityFeePerGas },
+            sentBlock: await this.provider.getBlockNumber(),
+            maxFeeCap
+        });
+
+        return tx;
+    }
+
+    // Polls until a transaction with this nonce is mined, replacing it when
+    // it has been pending for stuckBlocks blocks. Returns the receipt of
+    // whichever version was mined, or null if it was a cancellation or the
+    // nonce was used by a transaction sent from somewhere else.
+    async waitForTransaction(nonce) {
+        const entry = this.pending.get(nonce);
+        if (!entry) return null;
+
+        for (;;) {
+            const mined = await this.findReceipt(entry);
+            if (mined) {
+                this.pending.delete(nonce);
+                return mined.sent.cancel ? null : mined.receipt;
+            }
+
+            // Checked after the receipts, so one of ours mined in between is not missed
+            const confirmedCount = await this.provider.getTransactionCount(this.wallet.address, 'latest');
+            if (confirmedCount > nonce) {
+                const latest = await this.findReceipt(entry);
+                this.pending.delete(nonce);
+                if (latest) return latest.sent.cancel ? null : latest.receipt;
+
+                logger.warn('Nonce used by another transaction', { nonce, hashes: entry.sent.map(sent => sent.hash) });
+                return null;
+            }
+
+            const blockNumber = await this.provider.getBlockNumber();
+            if (blockNumber - entry.sentBlock >= this.stuckBlocks) {
+                await this.replaceTransaction(nonce, this.stuckAction, blockNumber);
+            }
+
+            await new Promise(resolve => setTimeout(resolve, this.pollInterval));
+        }
+    }
+
+    async findReceipt(entry) {
+        for (const sent of entry.sent) {
+            const receipt = await this.provider.getTransactionReceipt(sent.hash);
+            if (receipt) return { sent, receipt };
+        }
+        return null;
+    }
+
+    // Re-sends the same nonce with bumped fees: the original call for a
+    // speed-up, or an empty transfer to ourselves for a cancellation
+    async replaceTransaction(nonce, action, blockNumber) {
+        const entry = this.pending.get(nonce);
+        const fees = await this.gasOptimizer.getReplacementFees(entry.fees);
+        if (!fees) {
+            entry.sentBlock = blockNumber; // Try again after another stuckBlocks blocks
+            return null;
+        }
+
+        // A speed-up past its cap would lose money if mined, so the nonce is freed instead
+        const highest = fees.maxFeePerGas ?? fees.gasPrice;
+        if (action === 'speedup' && entry.maxFeeCap !== null && highest > entry.maxFeeCap) {
+            logger.warn('Speed-up would bid past its fee cap, cancelling instead', {
+                nonce,
+                required: highest.toString(),
+                maxFeeCap: entry.maxFeeCap.toString()
+            });
+            action = 'cancel';
+        }
+
+        const request = action === 'cancel'
+            ? { to: this.wallet.address, value: 0n, data: '0x', gasLimit: 21000 }
+            : { ...entry.request };
+        delete request.gasPrice;
+        delete request.maxFeePerGas;
+        delete request.maxPriorityFeePerGas;
+
+        let tx;
+        try {
+            tx = await this.wallet.sendTransaction({ ...request, ...fees, nonce });
+        } catch (error) {
+            // The nonce was mined (or our replacement is already in the pool)
+            // since the last receipt check; the next round picks it up
+            if (error.code === 'NONCE_EXPIRED' || /nonce too low|already known/i.test(error.message)) {
+                logger.debug('Replacement not needed', { nonce, reason: error.message });
+                return null;
+            }
+            throw error;
+        }
+
+        logger.warn('Replaced stuck transaction', {
+            nonce,
+            action,
+            replacedHash: entry.sent[entry.sent.length - 1].hash,
+            newHash: tx.hash,
+            pendingBlocks: blockNumber - entry.sentBlock,
+            maxFeePerGas: fees.maxFeePerGas !== undefined ? fees.maxFeePerGas.toString() : undefined,
+            gasPrice: fees.gasPrice !== undefined ? fees.gasPrice.toString() : undefined
+        });
+
+        entry.sent.push({ hash: tx.hash, cancel: action === 'cancel' });
+        entry.fees = { gasPrice: fees.gasPrice ?? null, maxFeePerGas: fees.maxFeePerGas ?? null, maxPriorityFeePerGas: fees.maxPriorityFeePerGas ?? null };
+        entry.sentBlock = blockNumber;
+        return tx;
+    }
+
+    getPendingCount() {
+        return this.pending.size;
+    }
+}
+
+module.exports = NonceManager;
@@ -0,0 +1,131 @@
+const { ethers } = require('ethers');
+const config = require('./config');
+const logger = require('./logger');
+
+// Fills trades against a virtual balance sheet instead of the chain. Each
+// fill is re-quoted on the pools as they are when it executes, so price
+// moves since detection show up as slippage, and pays gas at the price the
+// live executor would have bid.
+class PaperTrader {
+    constructor(monitor, startingBalances = null) {
+        this.monitor = monitor;
+        this.weth = monitor.tokenUtils.COMMON_TOKENS.WETH.toLowerCase();
+
+        // token (lowercase) -> amount in token wei. Gas comes out of the WETH
+        // balance, which stands in for the wallet's ETH.
+        this.balances = new Map(startingBalances || [[this.weth, ethers.parseEther(config.paper.startingEth.toString())]]);
+        this.decimals = new Map([[this.weth, 18]]); // For display
+        this.trades = [];
+        this.equityCurve = [];
+        this.maxEquityPoints = 10000;
+        this.startingEquityWei = this.getEquityWei();
+    }
+
+    getBalance(token) {
+        return this.balances.get(token.toLowerCase()) || 0n;
+    }
+
+    adjustBalance(token, delta) {
+        this.balances.set(token.toLowerCase(), this.getBalance(token) + delta);
+    }
+
+    // Borrowed fills (flash mode) need no inventory and pay loanFee in tokenIn
+    async fill(opportunity, amountIn, { gasUsed, gasPrice, borrowed = false, loanFee = 0n }) {
+        const filled = this.monitor.repriceOpportunity(opportunity, amountIn);
+        if (!filled) {
+            console.log('❌ Paper fill failed - route pools are no longer cached');
+            return null;
+        }
+        if (!borrowed && this.getBalance(opportunity.tokenIn) < amountIn) {
+            console.log('❌ Insufficient paper balance for arbitrage');
+            return null;
+        }
+
+        const gasCostWei = BigInt(gasUsed) * BigInt(gasPrice);
+
+        const proceeds = filled.expectedOutput - loanFee;
+        this.decimals.set(opportunity.tokenIn.toLowerCase(), filled.tokenInDecimals);
+        this.adjustBalance(opportunity.tokenIn, proceeds - amountIn);
+        this.adjustBalance(this.weth, -gasCostWei);
+
+        const rate = filled.tokenInEthRate;
+        const toEthWei = (amount) => rate ? (amount * rate.numerator) / rate.denominator : null;
+        const profitWei = toEthWei(proceeds - amountIn);
+        const trade = {
+            tokenIn: opportunity.tokenIn,
+            amountIn,
+            expectedOutput: opportunity.expectedOutput,
+            filledOutput: filled.expectedOutput,
+            slippage: opportunity.expectedOutput - filled.expectedOutput, // In tokenIn; positive when the fill was worse
+            loanFee,
+            profitWei,
+            gasCostWei,
+            pnlWei: profitWei !== null ? profitWei - gasCostWei : -gasCostWei,
+            blockNumber: filled.blockNumber,
+            timestamp: Date.now()
+        };
+        this.trades.push(trade);
+        this.recordEquity(filled.blockNumber);
+
+        logger.info('Paper trade filled', {
+            estimatedProfitWei: opportunity.netProfitWei,
+            pnlWei: trade.pnlWei,
+            slippage: trade.slippage,
+            equityEth: ethers.formatEther(this.getEquityWei())
+        });
+
+        return {
+            success: true,
+            paper: true,
+            tradeAmount: amountIn.toString(),
+            tradeSizeWei: filled.tradeSizeWei,
+            estimatedProfit: opportunity.netProfitEth,
+            estimatedProfitWei: opportunity.netProfitWei,
+            tokensReceived: proceeds - amountIn,
+            realizedProfitWei: profitWei,
+            gasCostWei,
+            realizedPnlWei: trade.pnlWei,
+            slippage: trade.slippage,
+            gasUsed,
+            exchangeUsed: opportunity.legs.map(leg => leg.exchange),
+            blockNumber: filled.blockNumber,
+            timestamp: trade.timestamp
+        };
+    }
+
+    // Every balance valued in ETH at current pool prices; tokens without a
+    // WETH pool are left out
+    getEquityWei() {
+        let equity = 0n;
+        for (const [token, amount] of this.balances) {
+            const value = token === this.weth ? amount : this.monitor.getEthValueWei(token, amount);
+            if (value !== null) equity += value;
+        }
+        return equity;
+    }
+
+    recordEquity(blockNumber = null) {
+        this.equityCurve.push({ timestamp: Date.now(), blockNumber, equityWei: this.getEquityWei() });
+        if (this.equityCurve.length > this.maxEquityPoints) {
+            this.equityCurve.shift();
+        }
+    }
+
+    getSummary() {
+        const equityWei = this.getEquityWei();
+        const slippageTrades = this.trades.filter(trade => trade.slippage > 0n).length;
+
+        return {
+            balances: Array.from(this.balances, ([token, amount]) => ({ token, amount, decimals: this.decimals.get(token) ?? 18 })),
+            startingEquityEth: ethers.formatEther(this.startingEquityWei),
+            equityEth: ethers.formatEther(equityWei),
+            pnlEth: ethers.formatEther(equityWei - this.startingEquityWei),
+            trades: this.trades.length,
+            slippageTrades,
+            gasSpentEth: ethers.formatEther(this.trades.reduce((sum, trade) => sum + trade.gasCostWei, 0n)),
+            equityCurve: this.equityCurve
+        };
+    }
+}
+
+module.exports = PaperTrader;
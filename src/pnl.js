@@ -0,0 +1,107 @@
+const { ethers } = require('ethers');
+
+// Events that show what a trade actually moved
+const TRADE_EVENTS_INTERFACE = new ethers.Interface([
+    'event Transfer(address indexed from, address indexed to, uint256 value)',
+    'event Swap(address indexed sender, uint256 amount0In, uint256 amount1In, uint256 amount0Out, uint256 amount1Out, address indexed to)',
+    'event Swap(address indexed sender, address indexed recipient, int256 amount0, int256 amount1, uint160 sqrtPriceX96, uint128 liquidity, int24 tick)',
+    'event TokenExchange(address indexed buyer, int128 sold_id, uint256 tokens_sold, int128 bought_id, uint256 tokens_bought)',
+    'event Swap(bytes32 indexed poolId, address indexed tokenIn, address indexed tokenOut, uint256 amountIn, uint256 amountOut)'
+]);
+
+const TRANSFER_TOPIC = TRADE_EVENTS_INTERFACE.getEvent('Transfer').topicHash;
+const V2_SWAP_TOPIC = TRADE_EVENTS_INTERFACE.getEvent('Swap(address,uint256,uint256,uint256,uint256,address)').topicHash;
+const V3_SWAP_TOPIC = TRADE_EVENTS_INTERFACE.getEvent('Swap(address,address,int256,int256,uint160,uint128,int24)').topicHash;
+const CURVE_EXCHANGE_TOPIC = TRADE_EVENTS_INTERFACE.getEvent('TokenExchange').topicHash;
+const BALANCER_SWAP_TOPIC = TRADE_EVENTS_INTERFACE.getEvent('Swap(bytes32,address,address,uint256,uint256)').topicHash;
+
+// Works out what a mined arbitrage really earned from its receipt logs.
+class PnlCalculator {
+    // ERC20 transfers, in log order
+    static decodeTransfers(logs) {
+        return logs
+            .filter(log => log.topics && log.topics[0] === TRANSFER_TOPIC && log.topics.length === 3)
+            .map(log => ({
+                token: ethers.getAddress(log.address),
+                from: ethers.getAddress(ethers.dataSlice(log.topics[1], 12)),
+                to: ethers.getAddress(ethers.dataSlice(log.topics[2], 12)),
+                amount: BigInt(log.data)
+            }));
+    }
+
+    // Net amount of token received by account across the transfers
+    static getNetFlow(transfers, token, account) {
+        const tokenAddress = ethers.getAddress(token);
+        const accountAddress = ethers.getAddress(account);
+
+        let net = 0n;
+        for (const transfer of transfers) {
+            if (transfer.token !== tokenAddress) continue;
+            if (transfer.to === accountAddress) net += transfer.amount;
+            if (transfer.from === accountAddress) net -= transfer.amount;
+        }
+        return net;
+    }
+
+    // Realized { amountIn, amountOut } of each leg from its pool's swap
+    // event, or null for a leg whose event is missing
+    static decodeLegAmounts(logs, legs) {
+        const used = new Set();
+
+        return legs.map(leg => {
+            const index = logs.findIndex((log, i) => !used.has(i) && PnlCalculator.isLegSwap(log, leg));
+            if (index === -1) return null;
+            used.add(index);
+
+            const log = logs[index];
+            const { args } = TRADE_EVENTS_INTERFACE.parseLog(log);
+
+            if (log.topics[0] === V2_SWAP_TOPIC) {
+                return leg.zeroForOne
+                    ? { amountIn: args.amount0In, amountOut: args.amount1Out }
+                    : { amountIn: args.amount1In, amountOut: args.amount0Out };
+            }
+            if (log.topics[0] === V3_SWAP_TOPIC) {
+                // Pool deltas: positive is paid in, negative is paid out
+                return leg.zeroForOne
+                    ? { amountIn: args.amount0, amountOut: -args.amount1 }
+                    : { amountIn: args.amount1, amountOut: -args.amount0 };
+            }
+            if (log.topics[0] === CURVE_EXCHANGE_TOPIC) {
+                return { amountIn: args.tokens_sold, amountOut: args.tokens_bought };
+            }
+            return { amountIn: args.amountIn, amountOut: args.amountOut };
+        });
+    }
+
+    static isLegSwap(log, leg) {
+        const topic = log.topics && log.topics[0];
+        if (leg.poolType === 'balancer') {
+            return topic === BALANCER_SWAP_TOPIC && log.topics[1].toLowerCase() === leg.poolId.toLowerCase();
+        }
+
+        const expected = { v2: V2_SWAP_TOPIC, v3: V3_SWAP_TOPIC, curve: CURVE_EXCHANGE_TOPIC }[leg.poolType];
+        return topic === expected && log.address.toLowerCase() === leg.poolAddress.toLowerCase();
+    }
+
+    // Profit in tokenIn received by profitRecipient, valued in ETH, less the
+    // gas the transaction paid. A reverted transaction only costs its gas.
+    static fromReceipt(receipt, opportunity, profitRecipient) {
+        const gasCostWei = BigInt(receipt.gasUsed) * BigInt(receipt.gasPrice ?? receipt.effectiveGasPrice);
+        const logs = receipt.status === 1 ? receipt.logs : [];
+
+        const tokensReceived = PnlCalculator.getNetFlow(PnlCalculator.decodeTransfers(logs), opportunity.tokenIn, profitRecipient);
+        const rate = opportunity.tokenInEthRate;
+        const profitWei = rate ? (tokensReceived * rate.numerator) / rate.denominator : null;
+
+        return {
+            tokensReceived,
+            legAmounts: PnlCalculator.decodeLegAmounts(logs, opportunity.legs),
+            profitWei, // null when tokenIn has no ETH price
+            gasCostWei,
+            pnlWei: profitWei !== null ? profitWei - gasCostWei : -gasCostWei
+        };
+    }
+}
+
+module.exports = PnlCalculator;
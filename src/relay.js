@@ -0,0 +1,90 @@
+const axios = require('axios');
+const { ethers } = require('ethers');
+const config = require('./config');
+
+// Submits signed transactions as bundles to a Flashbots-compatible relay,
+// keeping them out of the public mempool.
+class BundleRelay {
+    constructor(url = config.relay.url, authSigner = null) {
+        this.url = url;
+        // Relays identify searchers by this key; it does not need to hold funds
+        this.authSigner = authSigner || (config.relay.authKey ? new ethers.Wallet(config.relay.authKey) : ethers.Wallet.createRandom());
+        this.pollInterval = 1000; // ms between block number checks
+        this.blockTimeout = 60000; // ms to wait for a target block before giving up on the node
+        this.requestId = 0;
+    }
+
+    async request(method, params) {
+        const body = JSON.stringify({ jsonrpc: '2.0', id: ++this.requestId, method, params });
+        const signature = await this.authSigner.signMessage(ethers.id(body));
+
+        const response = await axios.post(this.url, body, {
+            headers: {
+                'Content-Type': 'application/json',
+                'X-Flashbots-Signature': `${this.authSigner.address}:${signature}`
+            },
+            timeout: 10000
+        });
+
+        if (response.data.error) {
+            throw new Error(`Relay ${method} failed: ${response.data.error.message}`);
+        }
+        return response.data.result;
+    }
+
+    // Simulates the bundle on top of stateBlockNumber as if mined in blockNumber
+    async callBundle(signedTransactions, blockNumber, stateBlockNumber = 'latest') {
+        return this.request('eth_callBundle', [{
+            txs: signedTransactions,
+            blockNumber: ethers.toQuantity(blockNumber),
+            stateBlockNumber: typeof stateBlockNumber === 'number' ? ethers.toQuantity(stateBlockNumber) : stateBlockNumber
+        }]);
+    }
+
+    async sendBundle(signedTransactions, blockNumber) {
+        return this.request('eth_sendBundle', [{
+            txs: signedTransactions,
+            blockNumber: ethers.toQuantity(blockNumber)
+        }]);
+    }
+
+    // Targets each block from firstBlock to lastBlock in turn until the
+    // bundle's first transaction is mined. A bundle is only valid for the
+    // block it names, so a missed block means re-sending for the next one.
+    async submitUntilIncluded(signedTransactions, provider, firstBlock, lastBlock) {
+        const txHash = ethers.keccak256(signedTransactions[0]);
+        let attempts = 0;
+        let bundleHash = null;
+
+        for (let targetBlock = firstBlock; targetBlock <= lastBlock; targetBlock++) {
+            ({ bundleHash } = await this.sendBundle(signedTransactions, targetBlock));
+            attempts++;
+
+            // A node that stops reporting blocks leaves nothing to target
+            if (await this.waitForBlock(provider, targetBlock) === null) {
+                return { included: false, bundleHash, receipt: null, attempts, timedOut: true };
+            }
+
+            const receipt = await provider.getTransactionReceipt(txHash);
+            if (receipt) {
+                return { included: true, bundleHash, receipt, attempts, timedOut: false };
+            }
+        }
+
+        return { included: false, bundleHash, receipt: null, attempts, timedOut: false };
+    }
+
+    // Resolves with the head once it reaches blockNumber, or null if it has
+    // not after blockTimeout ms
+    async waitForBlock(provider, blockNumber) {
+        const deadline = Date.now() + this.blockTimeout;
+        for (;;) {
+            const head = await provider.getBlockNumber();
+            if (head >= blockNumber) return head;
+            if (Date.now() >= deadline) return null;
+            await new Promise(resolve => setTimeout(resolve, this.pollInterval));
+        }
+    }
+}
+
+module.exports = BundleRelay;
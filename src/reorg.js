@@ -0,0 +1,74 @@
+const config = require('./config');
+
+// Remembers the hashes of recent blocks and notices when the canonical chain
+// no longer contains some of them.
+class ChainTracker {
+    constructor(provider, depth = config.ethereum.reorgDepth) {
+        this.provider = provider;
+        this.depth = depth;
+        this.hashes = new Map(); // block number -> hash
+    }
+
+    // Records a new head ({ number, hash, parentHash }). Returns null when the
+    // chain simply extended, otherwise { commonAncestor, dropped, head }.
+    async processBlock(block) {
+        if (this.hashes.get(block.number) === block.hash) return null;
+
+        const dropped = await this.findDroppedBlocks(block);
+        for (const droppedBlock of dropped) {
+            this.hashes.delete(droppedBlock.number);
+        }
+
+        this.hashes.set(block.number, block.hash);
+        this.prune(block.number);
+
+        if (dropped.length === 0) return null;
+
+        return {
+            commonAncestor: dropped[dropped.length - 1].number - 1,
+            dropped,
+            head: { number: block.number, hash: block.hash }
+        };
+    }
+
+    // Known blocks at or below the new head that are no longer canonical,
+    // newest first. The new block's parent hash settles the block below it;
+    // older ones are checked against the node, walking back until the hashes
+    // agree. Known blocks above the new head are left alone, since a lagging
+    // node can report an older head without any reorg.
+    async findDroppedBlocks(block) {
+        const known = Array.from(this.hashes.keys())
+            .filter(number => number <= block.number)
+            .sort((a, b) => b - a);
+        const dropped = [];
+
+        for (const number of known) {
+            let canonicalHash;
+            if (number === block.number) {
+                canonicalHash = block.hash;
+            } else if (number === block.number - 1) {
+                canonicalHash = block.parentHash;
+            } else {
+                const canonical = await this.provider.getBlock(number);
+                canonicalHash = canonical ? canonical.hash : null;
+            }
+
+            if (canonicalHash === this.hashes.get(number)) break;
+            dropped.push({ number, hash: this.hashes.get(number) });
+        }
+
+        return dropped;
+    }
+
+    prune(headNumber) {
+        for (const number of this.hashes.keys()) {
+            if (number <= headNumber - this.depth) this.hashes.delete(number);
+        }
+    }
+
+    getHash(blockNumber) {
+        return this.hashes.get(blockNumber) || null;
+    }
+}
+
+module.exports = ChainTracker;
@@ -6,7 +6,7 @@ class RiskManager {
     constructor() {
         this.maxSlippage = config.mev.maxSlippage;
         this.maxGasPrice = config.mev.maxGasPrice;
-        this.minProfitEth = config.mev.minProfitEth;
+        this.minProfitWei = config.mev.minProfitWei;
         
         // Risk metrics
         this.dailyLossLimit = ethers.parseEther('0.5'); // Max 0.5 ETH loss per day
@@ -17,6 +17,11 @@ class RiskManager {
             totalLoss: 0n,
             date: new Date().toDateString()
         };
+
+        // Recently recorded trades with their inclusion block, so a reorg can
+        // take them back out of dailyStats
+        this.recentTrades = [];
+        this.maxRecentTrades = 100;
     }
 
     resetDailyStats() {
@@ -42,11 +47,17 @@ class RiskManager {
 
         const risks = [];
 
-        // Check profit threshold
-        if (opportunity.profitPercent < this.minProfitEth * 100) {
+        // Check profit threshold, in ETH wei like the executor's check
+        const netProfitWei = opportunity.netProfitWei ?? null;
+        if (netProfitWei === null) {
             risks.push({
                 level: 'high',
-                reason: `Profit ${opportunity.profitPercent.toFixed(2)}% below threshold ${this.minProfitEth * 100}%`
+                reason: 'Profit cannot be valued in ETH'
+            });
+        } else if (netProfitWei < this.minProfitWei) {
+            risks.push({
+                level: 'high',
+                reason: `Profit ${ethers.formatEther(netProfitWei)} ETH below threshold ${ethers.formatEther(this.minProfitWei)} ETH`
             });
         }
 
@@ -136,31 +147,118 @@ class RiskManager {
         return 'PROCEED - Minimal risk';
     }
 
-    recordTradeResult(tradeAmount, profit, gasUsed) {
+    // profit is the trade's net result in ETH wei (negative for a loss).
+    // Only mined trades have a blockNumber and txHash; simulated ones cannot
+    // be reorged out.
+    recordTradeResult(tradeAmount, profit, gasUsed, blockNumber = null, txHash = null) {
+        this.resetDailyStats();
+
+        const trade = {
+            tradeAmount,
+            profit: BigInt(profit),
+            gasUsed,
+            blockNumber,
+            txHash,
+            pendingSince: null,
+            status: 'confirmed',
+            date: this.dailyStats.date
+        };
+        this.applyTrade(trade);
+
+        this.recentTrades.push(trade);
+        if (this.recentTrades.length > this.maxRecentTrades) {
+            this.recentTrades.shift();
+        }
+
+        return trade;
+    }
+
+    applyTrade(trade) {
         this.dailyStats.trades++;
         
-        if (profit > 0) {
-            this.dailyStats.totalProfit += BigInt(Math.floor(profit * 1e18));
+        if (trade.profit > 0n) {
+            this.dailyStats.totalProfit += trade.profit;
             logger.info('Profitable trade recorded', {
-                profit: profit.toFixed(6),
+                profit: ethers.formatEther(trade.profit),
                 totalDailyProfit: ethers.formatEther(this.dailyStats.totalProfit)
             });
         } else {
-            const loss = BigInt(Math.floor(Math.abs(profit) * 1e18));
-            this.dailyStats.totalLoss += loss;
+            this.dailyStats.totalLoss -= trade.profit;
             logger.warn('Loss recorded', {
-                loss: Math.abs(profit).toFixed(6),
+                loss: ethers.formatEther(-trade.profit),
                 totalDailyLoss: ethers.formatEther(this.dailyStats.totalLoss)
             });
         }
     }
 
+    revertTrade(trade) {
+        if (trade.date !== this.dailyStats.date) return; // Already rolled into a previous day
+
+        this.dailyStats.trades--;
+        if (trade.profit > 0n) {
+            this.dailyStats.totalProfit -= trade.profit;
+        } else {
+            this.dailyStats.totalLoss += trade.profit;
+        }
+    }
+
+    // Trades included after commonAncestor were on blocks that are no longer
+    // canonical: they stop counting and wait to be confirmed again
+    handleReorg(commonAncestor) {
+        const reverted = this.recentTrades.filter(trade =>
+            trade.status === 'confirmed' && trade.blockNumber !== null && trade.blockNumber > commonAncestor
+        );
+
+        for (const trade of reverted) {
+            this.revertTrade(trade);
+            trade.status = 'pending';
+            trade.blockNumber = null;
+            trade.pendingSince = commonAncestor;
+        }
+
+        if (reverted.length > 0) {
+            logger.warn('Trades returned to pending after reorg', {
+                commonAncestor,
+                trades: reverted.length,
+                totalDailyProfit: ethers.formatEther(this.dailyStats.totalProfit),
+                totalDailyLoss: ethers.formatEther(this.dailyStats.totalLoss)
+            });
+        }
+
+        return reverted;
+    }
+
+    // Counts a pending trade again once it is included on the canonical chain
+    confirmTrade(trade, blockNumber) {
+        if (trade.status !== 'pending') return;
+
+        this.resetDailyStats();
+        trade.status = 'confirmed';
+        trade.blockNumber = blockNumber;
+        trade.pendingSince = null;
+        trade.date = this.dailyStats.date;
+        this.applyTrade(trade);
+    }
+
+    // A pending trade that was never included again no longer waits
+    dropTrade(trade) {
+        if (trade.status !== 'pending') return;
+
+        trade.status = 'dropped';
+        logger.warn('Reorged trade was not included again', { txHash: trade.txHash, pendingSince: trade.pendingSince });
+    }
+
+    getPendingTrades() {
+        return this.recentTrades.filter(trade => trade.status === 'pending');
+    }
+
     getDailyStats() {
         return {
             ...this.dailyStats,
             totalProfitEth: ethers.formatEther(this.dailyStats.totalProfit),
             totalLossEth: ethers.formatEther(this.dailyStats.totalLoss),
-            netProfitEth: ethers.formatEther(this.dailyStats.totalProfit - this.dailyStats.totalLoss)
+            netProfitEth: ethers.formatEther(this.dailyStats.totalProfit - this.dailyStats.totalLoss),
+            pendingTrades: this.getPendingTrades().length
         };
     }
 
@@ -0,0 +1,135 @@
+const { ethers } = require('ethers');
+const PnlCalculator = require('./pnl');
+
+const ERROR_STRING_SELECTOR = '0x08c379a0';
+
+const ERC20_ALLOWANCE_ABI = [
+    'function allowance(address owner, address spender) view returns (uint256)'
+];
+
+// Storage slots of the allowance mapping tried when looking for a token's layout
+const MAX_ALLOWANCE_SLOT = 20;
+
+// Runs a transaction against a forked node (Anvil, or any node with the
+// callTracer) through debug_traceCall and reports what it would really do.
+class TradeSimulator {
+    constructor(provider) {
+        this.provider = provider;
+    }
+
+    // tx is { from, to, data, gas }. Returns { success, revertReason, gasUsed,
+    // transfers, amountsOut, profit }, where amountsOut are the amounts the
+    // `to` contract received from anyone but the sender (one per leg, in
+    // order) and profit is the net amount of tokenIn received by
+    // profitRecipient. stateOverrides replace account state for the trace only.
+    async simulate(tx, { blockTag = 'latest', tokenIn, profitRecipient, stateOverrides = null }) {
+        const trace = await this.provider.send('debug_traceCall', [
+            {
+                from: tx.from,
+                to: tx.to,
+                data: tx.data,
+                gas: tx.gas !== undefined ? ethers.toQuantity(tx.gas) : undefined
+            },
+            typeof blockTag === 'number' ? ethers.toQuantity(blockTag) : blockTag,
+            { tracer: 'callTracer', tracerConfig: { withLog: true }, ...(stateOverrides ? { stateOverrides } : {}) }
+        ]);
+
+        const gasUsed = BigInt(trace.gasUsed || 0);
+        if (trace.error) {
+            return {
+                success: false,
+                revertReason: trace.revertReason || TradeSimulator.decodeRevertReason(trace.output) || trace.error,
+                gasUsed,
+                transfers: [],
+                amountsOut: [],
+                profit: null
+            };
+        }
+
+        const transfers = PnlCalculator.decodeTransfers(this.collectLogs(trace));
+
+        const contract = ethers.getAddress(tx.to);
+        const sender = ethers.getAddress(tx.from);
+        const amountsOut = transfers
+            .filter(transfer => transfer.to === contract && transfer.from !== sender)
+            .map(transfer => transfer.amount);
+
+        const profit = PnlCalculator.getNetFlow(transfers, tokenIn, profitRecipient);
+
+        return { success: true, revertReason: null, gasUsed, transfers, amountsOut, profit };
+    }
+
+    // State override giving spender an unlimited allowance of owner's tokens,
+    // so a trade can be simulated before its approval is sent. The mapping's
+    // slot is found by overriding each candidate and reading allowance()
+    // back, for Solidity (keccak(spender, keccak(owner, slot))) and Vyper
+    // (keccak(slot, owner), then spender) layouts. Null when neither matches.
+    async getAllowanceOverride(token, owner, spender, blockTag = 'latest') {
+        const tokenContract = new ethers.Contract(token, ERC20_ALLOWANCE_ABI);
+        const data = tokenContract.interface.encodeFunctionData('allowance', [owner, spender]);
+        const tag = typeof blockTag === 'number' ? ethers.toQuantity(blockTag) : blockTag;
+        const probe = ethers.toBeHex(ethers.MaxUint256, 32);
+
+        for (let slot = 0; slot <= MAX_ALLOWANCE_SLOT; slot++) {
+            for (const key of TradeSimulator.getAllowanceKeys(owner, spender, slot)) {
+                const override = { [token]: { stateDiff: { [key]: probe } } };
+                try {
+                    const result = await this.provider.send('eth_call', [{ to: token, data }, tag, override]);
+                    if (BigInt(result) === ethers.MaxUint256) return override;
+                } catch (error) {
+                    return null; // Node without state overrides
+                }
+            }
+        }
+        return null;
+    }
+
+    static getAllowanceKeys(owner, spender, slot) {
+        const coder = ethers.AbiCoder.defaultAbiCoder();
+        const solidityInner = ethers.keccak256(coder.encode(['address', 'uint256'], [owner, slot]));
+        const vyperInner = ethers.keccak256(coder.encode(['uint256', 'address'], [slot, owner]));
+        return [
+            ethers.keccak256(coder.encode(['address', 'bytes32'], [spender, solidityInner])),
+            ethers.keccak256(coder.encode(['bytes32', 'address'], [vyperInner, spender]))
+        ];
+    }
+
+    // Logs of a call frame and its subcalls in execution order. Each log's
+    // position is the number of subcalls the frame had made before it.
+    collectLogs(frame, logs = []) {
+        const calls = frame.calls || [];
+        let callIndex = 0;
+
+        for (const log of frame.logs || []) {
+            const position = log.position !== undefined ? Number(log.position) : calls.length;
+            while (callIndex < position && callIndex < calls.length) {
+                this.collectLogs(calls[callIndex++], logs);
+            }
+            logs.push(log);
+        }
+        while (callIndex < calls.length) {
+            this.collectLogs(calls[callIndex++], logs);
+        }
+
+        return logs;
+    }
+
+    // Error(string) payloads carry the require message
+    static decodeRevertReason(output) {
+        if (!output || !output.startsWith(ERROR_STRING_SELECTOR)) return null;
+        try {
+            return ethers.AbiCoder.defaultAbiCoder().decode(['string'], ethers.dataSlice(output, 4))[0];
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // How far the simulated profit is from the estimate, in percent of the estimate
+    static getDeviationPercent(simulatedProfit, expectedProfit) {
+        if (expectedProfit <= 0n) return Infinity;
+        const difference = simulatedProfit > expectedProfit ? simulatedProfit - expectedProfit : expectedProfit - simulatedProfit;
+        return Number((difference * 1000000n) / expectedProfit) / 10000;
+    }
+}
+
+module.exports = TradeSimulator;
@@ -22,7 +22,7 @@ class TokenUtils {
         // Common token addresses on Ethereum mainnet
         this.COMMON_TOKENS = {
             WETH: '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2',
-            USDC: '0xA0b86a33E6441c0327b81a4b74C8c6D8e7ff26ba',
+            USDC: '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48',
             USDT: '0xdAC17F958D2ee523a2206206994597C13D831ec7',
             DAI: '0x6B175474E89094C44Da98b954EedeAC495271d0F',
             WBTC: '0x2260FAC5E5542a773Aa44fBCfeDf7C193bc2C599'
@@ -41,7 +41,7 @@ class TokenUtils {
             const [name, symbol, decimals, totalSupply] = await Promise.all([
                 contract.name().catch(() => 'Unknown'),
                 contract.symbol().catch(() => '???'),
-                contract.decimals().catch(() => 18),
+                contract.decimals().catch(() => null), // Guessing would misprice the token by orders of magnitude
                 contract.totalSupply().catch(() => 0n)
             ]);
 
@@ -49,13 +49,13 @@ class TokenUtils {
                 address: tokenAddress,
                 name,
                 symbol,
-                decimals: Number(decimals),
+                decimals: decimals === null ? null : Number(decimals),
                 totalSupply: totalSupply.toString(),
                 contract
             };
 
-            // Cache the result
-            this.tokenCache.set(tokenAddress, tokenInfo);
+            // Cache the result; a failed decimals() read is retried next time
+            if (tokenInfo.decimals !== null) this.tokenCache.set(tokenAddress, tokenInfo);
             return tokenInfo;
 
         } catch (error) {
@@ -137,6 +137,10 @@ class TokenUtils {
                 return { valid: false, reason: 'Invalid token contract' };
             }
 
+            if (info0.decimals === null || info1.decimals === null) {
+                return { valid: false, reason: 'Unreadable decimals' };
+            }
+
             if (info0.decimals > 77 || info1.decimals > 77) {
                 return { valid: false, reason: 'Unusual decimals count' };
             }
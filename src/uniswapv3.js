@@ -0,0 +1,281 @@
+const { ethers } = require('ethers');
+
+const UNISWAP_V3_POOL_ABI = [
+    'function slot0() external view returns (uint160 sqrtPriceX96, int24 tick, uint16 observationIndex, uint16 observationCardinality, uint16 observationCardinalityNext, uint8 feeProtocol, bool unlocked)',
+    'function liquidity() external view returns (uint128)',
+    'function fee() external view returns (uint24)',
+    'function tickSpacing() external view returns (int24)',
+    'function tickBitmap(int16 wordPosition) external view returns (uint256)',
+    'function ticks(int24 tick) external view returns (uint128 liquidityGross, int128 liquidityNet, uint256 feeGrowthOutside0X128, uint256 feeGrowthOutside1X128, int56 tickCumulativeOutside, uint160 secondsPerLiquidityOutsideX128, uint32 secondsOutside, bool initialized)',
+    'function token0() external view returns (address)',
+    'function token1() external view returns (address)'
+];
+
+const Q96 = 1n << 96n;
+const MAX_UINT256 = (1n << 256n) - 1n;
+const MIN_TICK = -887272;
+const MAX_TICK = 887272;
+const FEE_DENOMINATOR = 1000000n;
+
+// Number of tickBitmap words loaded on each side of the current tick
+const DEFAULT_TICK_WORD_RADIUS = 2;
+
+class UniswapV3Pool {
+    constructor(address, provider, tickWordRadius = DEFAULT_TICK_WORD_RADIUS) {
+        this.address = address;
+        this.contract = new ethers.Contract(address, UNISWAP_V3_POOL_ABI, provider);
+        this.tickWordRadius = tickWordRadius;
+        this.fee = null;
+        this.tickSpacing = null;
+    }
+
+    async loadMetadata() {
+        const [token0, token1, fee, tickSpacing] = await Promise.all([
+            this.contract.token0(),
+            this.contract.token1(),
+            this.contract.fee(),
+            this.contract.tickSpacing()
+        ]);
+
+        this.fee = Number(fee);
+        this.tickSpacing = Number(tickSpacing);
+
+        return { token0, token1, fee: this.fee, tickSpacing: this.tickSpacing };
+    }
+
+    async fetchState(blockTag = 'latest') {
+        const [slot0, liquidity] = await Promise.all([
+            this.contract.slot0({ blockTag }),
+            this.contract.liquidity({ blockTag })
+        ]);
+
+        const words = this.getTickWords(Number(slot0.tick));
+        const bitmaps = await Promise.all(words.map(word => this.contract.tickBitmap(word, { blockTag })));
+        const initializedTicks = this.getInitializedTicks(words, bitmaps);
+        const tickData = await Promise.all(initializedTicks.map(tick => this.contract.ticks(tick, { blockTag })));
+
+        return this.buildState(slot0, liquidity, words, initializedTicks, tickData);
+    }
+
+    // tickBitmap words to load around the current tick
+    getTickWords(currentTick) {
+        const centerWord = UniswapV3Pool.wordPosition(currentTick, this.tickSpacing);
+        const words = [];
+        for (let word = centerWord - this.tickWordRadius; word <= centerWord + this.tickWordRadius; word++) {
+            words.push(word);
+        }
+        return words;
+    }
+
+    getInitializedTicks(words, bitmaps) {
+        const initializedTicks = [];
+        bitmaps.forEach((bitmap, index) => {
+            initializedTicks.push(...UniswapV3Pool.ticksFromBitmap(words[index], BigInt(bitmap.toString()), this.tickSpacing));
+        });
+        return initializedTicks;
+    }
+
+    buildState(slot0, liquidity, words, initializedTicks, tickData) {
+        return {
+            sqrtPriceX96: BigInt(slot0.sqrtPriceX96.toString()),
+            tick: Number(slot0.tick),
+            liquidity: BigInt(liquidity.toString()),
+            fee: this.fee,
+            ticks: initializedTicks.map((tick, index) => ({
+                tick,
+                liquidityNet: BigInt(tickData[index].liquidityNet.toString())
+            })),
+            tickLower: Math.max(MIN_TICK, words[0] * 256 * this.tickSpacing),
+            tickUpper: Math.min(MAX_TICK, ((words[words.length - 1] + 1) * 256 - 1) * this.tickSpacing)
+        };
+    }
+
+    static wordPosition(tick, tickSpacing) {
+        const compressed = Math.floor(tick / tickSpacing);
+        return compressed >> 8;
+    }
+
+    static ticksFromBitmap(wordPosition, bitmap, tickSpacing) {
+        const ticks = [];
+        for (let bit = 0; bit < 256; bit++) {
+            if ((bitmap >> BigInt(bit)) & 1n) {
+                ticks.push((wordPosition * 256 + bit) * tickSpacing);
+            }
+        }
+        return ticks;
+    }
+
+    static priceFromSqrtPriceX96(sqrtPriceX96) {
+        // token1 per token0, in raw units
+        const sqrtPrice = Number(sqrtPriceX96) / Number(Q96);
+        return sqrtPrice * sqrtPrice;
+    }
+
+    // Port of TickMath.getSqrtRatioAtTick
+    static getSqrtRatioAtTick(tick) {
+        const absTick = BigInt(Math.abs(tick));
+        if (absTick > BigInt(MAX_TICK)) {
+            throw new Error(`Tick ${tick} out of range`);
+        }
+
+        let ratio = (absTick & 0x1n) !== 0n
+            ? 0xfffcb933bd6fad37aa2d162d1a594001n
+            : 0x100000000000000000000000000000000n;
+
+        const multipliers = [
+            [0x2n, 0xfff97272373d413259a46990580e213an],
+            [0x4n, 0xfff2e50f5f656932ef12357cf3c7fdccn],
+            [0x8n, 0xffe5caca7e10e4e61c3624eaa0941cd0n],
+            [0x10n, 0xffcb9843d60f6159c9db58835c926644n],
+            [0x20n, 0xff973b41fa98c081472e6896dfb254c0n],
+            [0x40n, 0xff2ea16466c96a3843ec78b326b52861n],
+            [0x80n, 0xfe5dee046a99a2a811c461f1969c3053n],
+            [0x100n, 0xfcbe86c7900a88aedcffc83b479aa3a4n],
+            [0x200n, 0xf987a7253ac413176f2b074cf7815e54n],
+            [0x400n, 0xf3392b0822b70005940c7a398e4b70f3n],
+            [0x800n, 0xe7159475a2c29b7443b29c7fa6e889d9n],
+            [0x1000n, 0xd097f3bdfd2022b8845ad8f792aa5825n],
+            [0x2000n, 0xa9f746462d870fdf8a65dc1f90e061e5n],
+            [0x4000n, 0x70d869a156d2a1b890bb3df62baf32f7n],
+            [0x8000n, 0x31be135f97d08fd981231505542fcfa6n],
+            [0x10000n, 0x9aa508b5b7a84e1c677de54f3e99bc9n],
+            [0x20000n, 0x5d6af8dedb81196699c329225ee604n],
+            [0x40000n, 0x2216e584f5fa1ea926041bedfe98n],
+            [0x80000n, 0x48a170391f7dc42444e8fa2n]
+        ];
+
+        for (const [mask, multiplier] of multipliers) {
+            if ((absTick & mask) !== 0n) {
+                ratio = (ratio * multiplier) >> 128n;
+            }
+        }
+
+        if (tick > 0) {
+            ratio = MAX_UINT256 / ratio;
+        }
+
+        return (ratio >> 32n) + (ratio % (1n << 32n) === 0n ? 0n : 1n);
+    }
+
+    static mulDivRoundingUp(a, b, denominator) {
+        const product = a * b;
+        return product / denominator + (product % denominator > 0n ? 1n : 0n);
+    }
+
+    static getAmount0Delta(sqrtRatioA, sqrtRatioB, liquidity, roundUp) {
+        if (sqrtRatioA > sqrtRatioB) [sqrtRatioA, sqrtRatioB] = [sqrtRatioB, sqrtRatioA];
+
+        const numerator1 = liquidity << 96n;
+        const numerator2 = sqrtRatioB - sqrtRatioA;
+
+        if (roundUp) {
+            const intermediate = UniswapV3Pool.mulDivRoundingUp(numerator1, numerator2, sqrtRatioB);
+            return intermediate / sqrtRatioA + (intermediate % sqrtRatioA > 0n ? 1n : 0n);
+        }
+        return (numerator1 * numerator2 / sqrtRatioB) / sqrtRatioA;
+    }
+
+    static getAmount1Delta(sqrtRatioA, sqrtRatioB, liquidity, roundUp) {
+        if (sqrtRatioA > sqrtRatioB) [sqrtRatioA, sqrtRatioB] = [sqrtRatioB, sqrtRatioA];
+
+        return roundUp
+            ? UniswapV3Pool.mulDivRoundingUp(liquidity, sqrtRatioB - sqrtRatioA, Q96)
+            : liquidity * (sqrtRatioB - sqrtRatioA) / Q96;
+    }
+
+    static getNextSqrtPriceFromInput(sqrtPriceX96, liquidity, amountIn, zeroForOne) {
+        if (amountIn === 0n) return sqrtPriceX96;
+
+        if (zeroForOne) {
+            const numerator1 = liquidity << 96n;
+            return UniswapV3Pool.mulDivRoundingUp(numerator1, sqrtPriceX96, numerator1 + amountIn * sqrtPriceX96);
+        }
+        return sqrtPriceX96 + (amountIn << 96n) / liquidity;
+    }
+
+    // Port of SwapMath.computeSwapStep, exact-input only
+    static computeSwapStep(sqrtPriceCurrent, sqrtPriceTarget, liquidity, amountRemaining, fee) {
+        const zeroForOne = sqrtPriceCurrent >= sqrtPriceTarget;
+        const feePips = BigInt(fee);
+        const amountRemainingLessFee = amountRemaining * (FEE_DENOMINATOR - feePips) / FEE_DENOMINATOR;
+
+        let amountIn = zeroForOne
+            ? UniswapV3Pool.getAmount0Delta(sqrtPriceTarget, sqrtPriceCurrent, liquidity, true)
+            : UniswapV3Pool.getAmount1Delta(sqrtPriceCurrent, sqrtPriceTarget, liquidity, true);
+
+        let sqrtPriceNext;
+        if (amountRemainingLessFee >= amountIn) {
+            sqrtPriceNext = sqrtPriceTarget;
+        } else {
+            sqrtPriceNext = UniswapV3Pool.getNextSqrtPriceFromInput(sqrtPriceCurrent, liquidity, amountRemainingLessFee, zeroForOne);
+        }
+
+        const reachedTarget = sqrtPriceNext === sqrtPriceTarget;
+        let amountOut;
+
+        if (zeroForOne) {
+            if (!reachedTarget) amountIn = UniswapV3Pool.getAmount0Delta(sqrtPriceNext, sqrtPriceCurrent, liquidity, true);
+            amountOut = UniswapV3Pool.getAmount1Delta(sqrtPriceNext, sqrtPriceCurrent, liquidity, false);
+        } else {
+            if (!reachedTarget) amountIn = UniswapV3Pool.getAmount1Delta(sqrtPriceCurrent, sqrtPriceNext, liquidity, true);
+            amountOut = UniswapV3Pool.getAmount0Delta(sqrtPriceCurrent, sqrtPriceNext, liquidity, false);
+        }
+
+        const feeAmount = reachedTarget
+            ? UniswapV3Pool.mulDivRoundingUp(amountIn, feePips, FEE_DENOMINATOR - feePips)
+            : amountRemaining - amountIn;
+
+        return { sqrtPriceNext, amountIn, amountOut, feeAmount };
+    }
+
+    // Simulate an exact-input swap across the initialized ticks loaded in `state`.
+    // Input that cannot be filled inside the loaded tick window is reported as
+    // amountInRemaining rather than guessed at.
+    static simulateSwap(state, zeroForOne, amountIn) {
+        const ticks = [...state.ticks].sort((a, b) => a.tick - b.tick);
+
+        let sqrtPriceX96 = state.sqrtPriceX96;
+        let tick = state.tick;
+        let liquidity = state.liquidity;
+        let amountRemaining = amountIn;
+        let amountOut = 0n;
+        let crossedTicks = 0;
+
+        while (amountRemaining > 0n) {
+            const nextInitialized = zeroForOne
+                ? [...ticks].reverse().find(t => t.tick <= tick)
+                : ticks.find(t => t.tick > tick);
+            const tickNext = nextInitialized
+                ? nextInitialized.tick
+                : (zeroForOne ? state.tickLower : state.tickUpper);
+
+            const sqrtPriceTarget = UniswapV3Pool.getSqrtRatioAtTick(tickNext);
+            const step = UniswapV3Pool.computeSwapStep(sqrtPriceX96, sqrtPriceTarget, liquidity, amountRemaining, state.fee);
+
+            amountRemaining -= step.amountIn + step.feeAmount;
+            amountOut += step.amountOut;
+            sqrtPriceX96 = step.sqrtPriceNext;
+
+            if (step.sqrtPriceNext !== sqrtPriceTarget) break;
+
+            if (!nextInitialized) break; // Edge of the loaded tick window
+
+            liquidity += zeroForOne ? -nextInitialized.liquidityNet : nextInitialized.liquidityNet;
+            tick = zeroForOne ? tickNext - 1 : tickNext;
+            crossedTicks++;
+        }
+
+        return {
+            amountOut,
+            amountInRemaining: amountRemaining,
+            sqrtPriceX96After: sqrtPriceX96,
+            crossedTicks
+        };
+    }
+}
+
+UniswapV3Pool.ABI = UNISWAP_V3_POOL_ABI;
+UniswapV3Pool.MIN_TICK = MIN_TICK;
+UniswapV3Pool.MAX_TICK = MAX_TICK;
+
+module.exports = UniswapV3Pool;
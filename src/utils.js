@@ -93,6 +93,21 @@ class Web3Utils {
         );
     }
 
+    // Integer square root (floor) for non-negative BigInts, by Newton's method.
+    // The seed is a power of two at or above the root, so the iterates only
+    // decrease until they reach it; no float conversion, so any size works.
+    static sqrtBigInt(value) {
+        if (value < 0n) throw new Error('Square root of negative number');
+        if (value < 2n) return value;
+
+        let x = 1n << BigInt((value.toString(2).length + 1) >> 1);
+        for (;;) {
+            const next = (x + value / x) >> 1n;
+            if (next >= x) return x;
+            x = next;
+        }
+    }
+
     static compareBigNumbers(a, b) {
         if (a < b) return -1;
         if (a > b) return 1;
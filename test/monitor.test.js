@@ -80,6 +80,9 @@ async function testDexMonitor() {
             pairAddress: '0x123',
             exchange: 'Uniswap V2',
             price0: 1800,
+            reserve0: (1000n * 10n ** 18n).toString(),
+            reserve1: (1800000n * 10n ** 18n).toString(),
+            feeBps: 30,
             token0: '0xA0b86a33E6441c0327b81a4b74C8c6D8e7ff26ba',
             token1: '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2'
         };
@@ -88,6 +91,9 @@ async function testDexMonitor() {
             pairAddress: '0x456',
             exchange: 'SushiSwap',
             price0: 1900,
+            reserve0: (1000n * 10n ** 18n).toString(),
+            reserve1: (1900000n * 10n ** 18n).toString(),
+            feeBps: 30,
             token0: '0xA0b86a33E6441c0327b81a4b74C8c6D8e7ff26ba',
             token1: '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2'
         };
@@ -95,6 +101,285 @@ async function testDexMonitor() {
         const arbitrage = monitor.calculateArbitrage(price1, price2);
         suite.assert(arbitrage !== null, 'Should calculate arbitrage');
         suite.assert(arbitrage.profitPercent > 0, 'Should show positive profit');
+        suite.assertEqual(arbitrage.pair1.exchange, 'Uniswap V2', 'Should buy where token0 is cheaper in WETH');
+        suite.assert(arbitrage.netProfit < arbitrage.grossProfit, 'Fees should reduce profit');
+        suite.assertEqual(arbitrage.expectedOutput - arbitrage.amountIn, arbitrage.netProfit);
+    });
+
+    suite.test('Should reject price gaps that do not cover both swap fees', async () => {
+        const monitor = new DexMonitor();
+        const base = {
+            reserve0: (1000n * 10n ** 18n).toString(),
+            feeBps: 30,
+            token0: '0x6B175474E89094C44Da98b954EedeAC495271d0F',
+            token1: '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2'
+        };
+
+        // A 0.4% gap is below the ~0.6% round-trip fee
+        const price1 = { ...base, pairAddress: '0x1', exchange: 'Uniswap V2', reserve1: (1000n * 10n ** 18n).toString() };
+        const price2 = { ...base, pairAddress: '0x2', exchange: 'SushiSwap', reserve1: (1004n * 10n ** 18n).toString() };
+
+        suite.assertEqual(monitor.calculateArbitrage(price1, price2), null);
+    });
+
+    suite.test('Should match the Uniswap V2 getAmountOut formula', async () => {
+        // 1 token in against 100/200 reserves at 0.3%: 997 * 200 / (100 * 1000 + 997)
+        const out = DexMonitor.getAmountOut(10n ** 18n, 100n * 10n ** 18n, 200n * 10n ** 18n, 30);
+        suite.assertEqual(out, (997n * 10n ** 18n * 200n * 10n ** 18n) / (100n * 10n ** 18n * 1000n + 997n * 10n ** 18n));
+    });
+
+    suite.test('Should store prices in human units for mixed-decimal pairs', async () => {
+        const monitor = new DexMonitor();
+        const pair = {
+            token0: '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48',
+            token1: '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2',
+            decimals0: 6,
+            decimals1: 18,
+            exchange: 'Uniswap V2'
+        };
+
+        // 2,000,000 USDC against 1,000 WETH
+        const priceData = monitor.updateV2Price('0xpair', pair, 2000000n * 10n ** 6n, 1000n * 10n ** 18n);
+        suite.assert(Math.abs(priceData.price0 - 0.0005) < 1e-12, `Expected 0.0005 WETH per USDC, got ${priceData.price0}`);
+        suite.assert(Math.abs(priceData.price1 - 2000) < 1e-6, `Expected 2000 USDC per WETH, got ${priceData.price1}`);
+        suite.assertEqual(priceData.reserve0, (2000000n * 10n ** 6n).toString(), 'Raw reserves should be kept');
+    });
+
+    suite.test('Should refuse to watch pairs whose token decimals cannot be read', async () => {
+        const TokenUtils = require('../src/tokens');
+        const DAI = '0x6B175474E89094C44Da98b954EedeAC495271d0F';
+        const WETH = '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2';
+        const pairInterface = new ethers.Interface(['function token0() view returns (address)', 'function token1() view returns (address)']);
+
+        // The pair answers token0()/token1(); every token call reverts
+        const provider = {
+            call: async (tx) => {
+                if (tx.data === pairInterface.getFunction('token0').selector) return ethers.zeroPadValue(DAI, 32);
+                if (tx.data === pairInterface.getFunction('token1').selector) return ethers.zeroPadValue(WETH, 32);
+                throw new Error('execution reverted');
+            }
+        };
+        const tokenUtils = new TokenUtils(provider);
+        const monitor = new DexMonitor(tokenUtils);
+        monitor.provider = provider;
+
+        suite.assertEqual((await tokenUtils.getTokenInfo(DAI)).decimals, null, 'A failed decimals() should not become 18');
+        suite.assertEqual(tokenUtils.getCacheSize(), 0);
+        suite.assertEqual(await monitor.addWatchPair('0x0000000000000000000000000000000000000001', 'Uniswap V2'), false);
+        suite.assertEqual(monitor.watchedPairs.size, 0);
+    });
+
+    suite.test('Should size two-pool arbitrage at the profit-maximising input', async () => {
+        const monitor = new DexMonitor();
+        const base = {
+            decimals0: 18,
+            decimals1: 18,
+            feeBps: 30,
+            type: 'v2',
+            token0: '0x6B175474E89094C44Da98b954EedeAC495271d0F',
+            token1: '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2'
+        };
+        const cheap = { ...base, pairAddress: '0x1', exchange: 'Uniswap V2', reserve0: (2000000n * 10n ** 18n).toString(), reserve1: (1000n * 10n ** 18n).toString() };
+        const dear = { ...base, pairAddress: '0x2', exchange: 'SushiSwap', reserve0: (1900000n * 10n ** 18n).toString(), reserve1: (1000n * 10n ** 18n).toString() };
+        monitor.priceCache.set('0x1', cheap);
+        monitor.priceCache.set('0x2', dear);
+
+        const opportunity = monitor.calculateArbitrage(cheap, dear);
+        suite.assert(opportunity !== null, 'Should find the opportunity');
+
+        const profitAt = (amount) => monitor.repriceOpportunity(opportunity, amount).netProfit;
+        const optimum = opportunity.amountIn;
+        suite.assert(opportunity.netProfit >= profitAt(optimum * 99n / 100n), 'Smaller size should not do better');
+        suite.assert(opportunity.netProfit >= profitAt(optimum * 101n / 100n), 'Larger size should not do better');
+    });
+
+    suite.test('Should match the input token to its pool side regardless of case', async () => {
+        const monitor = new DexMonitor();
+        const USDC = '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48';
+        const pool = (pairAddress, reserve0) => ({
+            pairAddress, type: 'v2', feeBps: 30, decimals0: 6, decimals1: 18,
+            token0: USDC, token1: '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2',
+            reserve0: reserve0.toString(), reserve1: (1000n * 10n ** 18n).toString()
+        });
+
+        const legs = monitor.buildRouteLegs([pool('0x1', 2000000n * 10n ** 6n), pool('0x2', 1900000n * 10n ** 6n)], USDC.toLowerCase());
+        suite.assertEqual(monitor.buildOpportunity(legs, 1000n * 10n ** 6n).tokenInDecimals, 6);
+    });
+
+    suite.test('Should find a triangular WETH -> DAI -> USDC -> WETH cycle', async () => {
+        const monitor = new DexMonitor();
+        const WETH = '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2';
+        const USDC = '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48';
+        const DAI = '0x6B175474E89094C44Da98b954EedeAC495271d0F';
+        const pool = (token0, token1, decimals0, decimals1) => ({ token0, token1, decimals0, decimals1, exchange: 'Uniswap V2', type: 'v2', feeBps: 30 });
+
+        // DAI is 5% cheaper against WETH than the USDC route implies
+        monitor.updateV2Price('0x1', pool(USDC, WETH, 6, 18), 2000000n * 10n ** 6n, 1000n * 10n ** 18n);
+        monitor.updateV2Price('0x2', pool(DAI, USDC, 18, 6), 1000000n * 10n ** 18n, 1000000n * 10n ** 6n);
+        monitor.updateV2Price('0x3', pool(DAI, WETH, 18, 18), 2100000n * 10n ** 18n, 1000n * 10n ** 18n);
+
+        const opportunities = monitor.findCycleOpportunities();
+        suite.assert(opportunities.length > 0, 'Should find the cycle');
+
+        const cycle = opportunities[0];
+        suite.assertEqual(cycle.hops, 3);
+        suite.assertEqual(cycle.legs.map(leg => leg.pool).join(','), '0x3,0x2,0x1');
+        suite.assert(cycle.netProfit > 0n, 'Cycle should be profitable after fees');
+        for (let i = 1; i < cycle.legs.length; i++) {
+            suite.assertEqual(cycle.legs[i].amountIn, cycle.legs[i - 1].amountOut, 'Leg amounts should chain');
+        }
+    });
+
+    suite.test('Should only compare snapshots from the same block and skip stale ones', async () => {
+        const monitor = new DexMonitor();
+        monitor.maxSnapshotAge = 2;
+        const pair = (exchange) => ({
+            token0: '0x6B175474E89094C44Da98b954EedeAC495271d0F',
+            token1: '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2',
+            decimals0: 18,
+            decimals1: 18,
+            exchange,
+            feeBps: 30
+        });
+
+        monitor.updateV2Price('0x1', pair('Uniswap V2'), 2000000n * 10n ** 18n, 1000n * 10n ** 18n, { number: 100, hash: '0xa' });
+        monitor.updateV2Price('0x2', pair('SushiSwap'), 1900000n * 10n ** 18n, 1000n * 10n ** 18n, { number: 101, hash: '0xb' });
+        suite.assertEqual((await monitor.scanForArbitrageOpportunities()).length, 0, 'Different blocks must not be compared');
+
+        // An event-driven change at block 101 confirms the quiet pool through 101
+        monitor.confirmSnapshotsThrough(monitor.getChangeBlock(['0x2']));
+        const opportunities = await monitor.scanForArbitrageOpportunities();
+        suite.assertEqual(opportunities.length, 1);
+        suite.assertEqual(opportunities[0].blockNumber, 101);
+
+        monitor.noteBlock({ number: 104, hash: '0xc' });
+        suite.assertEqual((await monitor.scanForArbitrageOpportunities()).length, 0, 'Stale snapshots must be skipped');
+        suite.assert(monitor.getCachedPrice('0x1').stale, 'Pair should be marked stale');
+    });
+
+    suite.test('Should only confirm fully event-tracked pools and group snapshots by block hash', async () => {
+        const monitor = new DexMonitor();
+        const pair = { token0: '0x6B175474E89094C44Da98b954EedeAC495271d0F', token1: '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2', decimals0: 18, decimals1: 18, exchange: 'Uniswap V2' };
+
+        monitor.updateV2Price('0x1', pair, 1000n, 1n, { number: 100, hash: '0xa' });
+        monitor.updateV2Price('0x2', pair, 1000n, 1n, { number: 101, hash: '0xb' });
+        monitor.updateV2Price('0x3', pair, 1000n, 1n, { number: 100, hash: '0xa' });
+        monitor.refreshingPools.add('0x3'); // A re-read after a log is still running
+        monitor.priceCache.set('0xc:0:1', { pairAddress: '0xc:0:1', poolAddress: '0xc', type: 'curve', blockNumber: 100, validThrough: 100, validThroughHash: '0xa' });
+
+        monitor.confirmSnapshotsThrough(monitor.getChangeBlock(['0x2']));
+        suite.assertEqual(monitor.getCachedPrice('0x1').validThrough, 101);
+        suite.assertEqual(monitor.getCachedPrice('0x1').validThroughHash, '0xb');
+        suite.assertEqual(monitor.getCachedPrice('0x3').validThrough, 100, 'Pools being re-read are behind their events');
+        suite.assertEqual(monitor.priceCache.get('0xc:0:1').validThrough, 100, 'Curve state can change without an event');
+
+        // Same height, different block: never compared
+        monitor.updateV2Price('0x4', pair, 1000n, 1n, { number: 101, hash: '0xbad' });
+        const groups = Array.from(monitor.getSnapshotGroups().values()).map(group => group.map(entry => entry.pairAddress).sort().join(','));
+        suite.assert(groups.includes('0x1,0x2') && groups.includes('0x4'), `Unexpected groups ${groups.join(' | ')}`);
+    });
+
+    suite.test('Should cap trade size by the risk limit', async () => {
+        const ArbitrageExecutor = require('../src/executor');
+        const executor = new ArbitrageExecutor(null, null);
+        const opportunity = { amountIn: ethers.parseEther('5'), tokenInEthRate: { numerator: 1n, denominator: 1n } };
+
+        const size = await executor.calculateOptimalTradeSize(opportunity, ethers.parseEther('1'));
+        suite.assertEqual(size, ethers.parseEther('1'));
+    });
+
+    suite.test('Should decide profitability on exact wei amounts', async () => {
+        const ArbitrageExecutor = require('../src/executor');
+        const config = require('../src/config');
+        const executor = new ArbitrageExecutor(null, null);
+        const gasCost = 123456789012345n;
+        executor.estimateGasCost = async () => gasCost;
+
+        const threshold = config.mev.minProfitWei + gasCost;
+        suite.assert(await executor.isArbitrageProfitable({ netProfitWei: threshold }), 'Exactly break-even should pass');
+        suite.assert(!(await executor.isArbitrageProfitable({ netProfitWei: threshold - 1n })), 'One wei short should fail');
+
+        const previous = process.env.MIN_PROFIT_ETH;
+        process.env.MIN_PROFIT_ETH = '0.0000001';
+        try {
+            suite.assertEqual(config.mev.minProfitWei, 100000000000n, 'Small thresholds parse exactly');
+        } finally {
+            if (previous === undefined) delete process.env.MIN_PROFIT_ETH;
+            else process.env.MIN_PROFIT_ETH = previous;
+        }
+    });
+
+    suite.test('Should compare the risk profit threshold in ETH wei', async () => {
+        const RiskManager = require('../src/risk');
+        const config = require('../src/config');
+        const riskManager = new RiskManager();
+        const opportunity = { profitPercent: 5, netProfitWei: config.mev.minProfitWei - 1n };
+
+        const below = await riskManager.assessTradeRisk(opportunity, ethers.parseEther('0.1'), 1n);
+        suite.assert(below.risks.some(risk => risk.reason.includes('below threshold')), 'Wei short of the threshold is a risk');
+
+        opportunity.netProfitWei = config.mev.minProfitWei;
+        const at = await riskManager.assessTradeRisk(opportunity, ethers.parseEther('0.1'), 1n);
+        suite.assert(!at.risks.some(risk => risk.reason.includes('below threshold')), 'Meeting the threshold is not a risk');
+    });
+
+    suite.test('Should apply Sync events to the price cache and batch changes', async () => {
+        const monitor = new DexMonitor();
+        const pairAddress = '0xa478c2975ab1ea89e8196811f51a7b7ade33eb11';
+        monitor.watchedPairs.set(pairAddress, {
+            token0: '0x6B175474E89094C44Da98b954EedeAC495271d0F',
+            token1: '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2',
+            exchange: 'Uniswap V2',
+            type: 'v2'
+        });
+        monitor.eventAddressIndex.set(pairAddress, pairAddress);
+
+        const changes = [];
+        monitor.onReservesChanged = (changedPairs) => changes.push(...changedPairs);
+        monitor.eventFlushDelay = 0;
+
+        const syncInterface = new ethers.Interface(['event Sync(uint112 reserve0, uint112 reserve1)']);
+        const log = {
+            address: ethers.getAddress(pairAddress),
+            ...syncInterface.encodeEventLog('Sync', [2000n, 1n])
+        };
+
+        monitor.handleSyncLog(log);
+        monitor.handleSyncLog(log); // Unchanged reserves must not be queued twice
+        await new Promise(resolve => setTimeout(resolve, 10));
+
+        suite.assertEqual(monitor.getCachedPrice(pairAddress).reserve0, '2000');
+        suite.assertEqual(changes.length, 1, 'Should report one changed pair');
+    });
+
+    suite.test('Should re-read V3 pools on liquidity changes and when the tick leaves the window', async () => {
+        const UniswapV3Pool = require('../src/uniswapv3');
+        const monitor = new DexMonitor();
+        const poolAddress = '0x88e6a0c2ddd26feeb64f039a2c41296fcb3f5640';
+        const pair = { token0: '0x6B175474E89094C44Da98b954EedeAC495271d0F', token1: '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2', decimals0: 18, decimals1: 18, exchange: 'Uniswap V3', type: 'v3', fee: 3000 };
+        monitor.watchedPairs.set(poolAddress, pair);
+        monitor.eventAddressIndex.set(poolAddress, poolAddress);
+        monitor.updateV3Price(poolAddress, pair, {
+            sqrtPriceX96: UniswapV3Pool.getSqrtRatioAtTick(0), tick: 0, liquidity: 10n ** 21n, fee: 3000,
+            ticks: [], tickLower: -15360, tickUpper: 15360
+        }, { number: 100, hash: '0xa' });
+
+        const refreshed = [];
+        monitor.fetchPairPrice = async (address) => { refreshed.push(address); return null; };
+        const events = new ethers.Interface([
+            'event Swap(address indexed sender, address indexed recipient, int256 amount0, int256 amount1, uint160 sqrtPriceX96, uint128 liquidity, int24 tick)',
+            'event Mint(address sender, address indexed owner, int24 indexed tickLower, int24 indexed tickUpper, uint128 amount, uint256 amount0, uint256 amount1)'
+        ]);
+        const log = (name, args) => ({ address: ethers.getAddress(poolAddress), blockNumber: 101, blockHash: '0xb', ...events.encodeEventLog(name, args) });
+        const swap = (tick) => log('Swap', [poolAddress, poolAddress, 1n, -1n, UniswapV3Pool.getSqrtRatioAtTick(tick), 10n ** 21n, tick]);
+
+        monitor.handleV3Log(swap(60));
+        suite.assertEqual(refreshed.length, 0, 'A swap inside the window is applied from the log');
+        suite.assertEqual(monitor.getCachedPrice(poolAddress).v3State.tick, 60);
+
+        monitor.handleV3Log(log('Mint', [poolAddress, poolAddress, -600, 600, 10n ** 18n, 1n, 1n]));
+        monitor.handleV3Log(swap(20000));
+        suite.assertEqual(refreshed.length, 2, 'Mints and swaps out of the tick window need a re-read');
     });
 
     return await suite.run();
@@ -119,6 +404,17 @@ async function testUtils() {
         suite.assert(!Web3Utils.isValidAddress(invalidAddress), 'Should reject invalid address');
     });
 
+    suite.test('Should take exact integer square roots of any size', async () => {
+        const root = 123456789012345678901234567890n;
+        suite.assertEqual(Web3Utils.sqrtBigInt(root * root), root, 'Perfect square');
+        suite.assertEqual(Web3Utils.sqrtBigInt(root * root - 1n), root - 1n, 'One below a perfect square');
+        suite.assertEqual(Web3Utils.sqrtBigInt(99n), 9n);
+
+        const huge = (1n << 1030n) + 12345n; // Past Number.MAX_VALUE
+        const hugeRoot = Web3Utils.sqrtBigInt(huge);
+        suite.assert(hugeRoot * hugeRoot <= huge && (hugeRoot + 1n) * (hugeRoot + 1n) > huge, 'Floor root above 2^1024');
+    });
+
     suite.test('Should format percentages correctly', async () => {
         const percentage = Web3Utils.formatPercentage(2.5678, 2);
         suite.assertEqual(percentage, '2.57%', 'Should format percentage correctly');
@@ -127,6 +423,938 @@ async function testUtils() {
     return await suite.run();
 }
 
+async function testUniswapV3Math() {
+    const suite = new SimpleTest('Uniswap V3 Math Tests');
+    const UniswapV3Pool = require('../src/uniswapv3');
+
+    const liquidity = ethers.parseEther('1000');
+    const state = {
+        sqrtPriceX96: UniswapV3Pool.getSqrtRatioAtTick(0),
+        tick: 0,
+        liquidity,
+        fee: 3000,
+        ticks: [
+            { tick: -600, liquidityNet: liquidity },
+            { tick: 600, liquidityNet: -liquidity }
+        ],
+        tickLower: -15360,
+        tickUpper: 15360
+    };
+
+    suite.test('Should match TickMath sqrt ratios at reference ticks', async () => {
+        suite.assertEqual(UniswapV3Pool.getSqrtRatioAtTick(0), 1n << 96n);
+        suite.assertEqual(UniswapV3Pool.getSqrtRatioAtTick(UniswapV3Pool.MIN_TICK), 4295128739n);
+        suite.assertEqual(
+            UniswapV3Pool.getSqrtRatioAtTick(UniswapV3Pool.MAX_TICK),
+            1461446703485210103287273052203988822378723970342n
+        );
+    });
+
+    suite.test('Should simulate a swap inside one tick range', async () => {
+        const result = UniswapV3Pool.simulateSwap(state, true, ethers.parseEther('1'));
+        // Constant-product equivalent: 1000 - 1000 * 1000 / (1000 + 0.997)
+        suite.assertEqual(result.amountInRemaining, 0n);
+        suite.assertEqual(result.crossedTicks, 0);
+        suite.assert(result.amountOut > ethers.parseEther('0.9960'), 'Output too low');
+        suite.assert(result.amountOut < ethers.parseEther('0.9961'), 'Output too high');
+    });
+
+    suite.test('Should cross initialized ticks and stop when liquidity runs out', async () => {
+        const result = UniswapV3Pool.simulateSwap(state, true, ethers.parseEther('100000'));
+        suite.assertEqual(result.crossedTicks, 1);
+        suite.assert(result.amountInRemaining > 0n, 'Unfilled input should be reported');
+        suite.assert(result.amountOut < liquidity, 'Output cannot exceed the range liquidity');
+    });
+
+    suite.test('Should not quote legs the cached ticks cannot fill', async () => {
+        const DAI = '0x6B175474E89094C44Da98b954EedeAC495271d0F';
+        const WETH = '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2';
+        const monitor = new DexMonitor();
+        const poolAddress = '0x88e6a0c2ddd26feeb64f039a2c41296fcb3f5640';
+        const pair = { token0: DAI, token1: WETH, decimals0: 18, decimals1: 18, exchange: 'Uniswap V3', type: 'v3', fee: 3000 };
+        monitor.updateV3Price(poolAddress, pair, state, { number: 100, hash: '0xa' });
+        const pool = monitor.getCachedPrice(poolAddress);
+
+        suite.assertEqual(monitor.quoteSwap(pool, DAI, ethers.parseEther('1')), monitor.simulateV3Swap(poolAddress, DAI, ethers.parseEther('1')).amountOut);
+        suite.assertEqual(monitor.quoteSwap(pool, DAI, ethers.parseEther('100000')), null, 'A partial fill is not a quote');
+        suite.assert(monitor.simulateV3Swap(poolAddress, DAI, ethers.parseEther('100000')).amountInRemaining > 0n);
+    });
+
+    return await suite.run();
+}
+
+async function testPairDiscovery() {
+    const suite = new SimpleTest('Pair Discovery Tests');
+    const PairDiscovery = require('../src/discovery');
+    const config = require('../src/config');
+
+    const WETH = '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2';
+    const DAI = '0x6B175474E89094C44Da98b954EedeAC495271d0F';
+
+    suite.test('Should parse additional factory lists', async () => {
+        const factories = config.parseFactoryList('ShibaSwap=0x115934131916C8b277DD010Ee02de363c09d037c, broken ,=0x1');
+        suite.assertEqual(factories.length, 1);
+        suite.assertEqual(factories[0].name, 'ShibaSwap');
+    });
+
+    suite.test('Should compute and identify pool addresses from the exchange registry', async () => {
+        const ExchangeRegistry = require('../src/exchanges');
+        const USDC = '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48';
+        const registry = new ExchangeRegistry({
+            ...config.exchanges,
+            // Overrides only the fee of the built-in entry
+            additionalV2Factories: config.parseFactoryList('SushiSwap=:25')
+        });
+
+        const v2Pair = '0xB4e16d0168e52d35CaCD2c6185b44281Ec28C9Dc';
+        const v3Pool = '0x88e6A0c2dDD26FEEb64F039a2c41296FcB3f5640';
+        suite.assertEqual(registry.computePoolAddress('Uniswap V2', WETH, USDC), v2Pair);
+        suite.assertEqual(registry.computePoolAddress('Uniswap V3', USDC, WETH, 500), v3Pool);
+        suite.assertEqual(registry.identifyPool(v2Pair, 'v2', USDC, WETH), 'Uniswap V2');
+        suite.assertEqual(registry.identifyPool(v3Pool, 'v3', USDC, WETH, 3000), null, 'Wrong fee tier should not match');
+
+        const sushi = registry.get('SushiSwap');
+        suite.assertEqual(sushi.factory, config.exchanges.sushiswapFactory);
+        suite.assertEqual(sushi.feeBps, 25);
+        suite.assertEqual(registry.computePoolAddress('SushiSwap', WETH, USDC), '0x397FF1542f962076d0BFE58eA045FfA2d347ACa0');
+    });
+
+    suite.test('Should value pools in ETH and drop thin ones', async () => {
+        const monitor = new DexMonitor();
+        monitor.priceCache.set('0xdeep', {
+            pairAddress: '0xdeep', token0: DAI, token1: WETH,
+            reserve0: (2000n * 10n ** 21n).toString(), reserve1: (10n ** 21n).toString(),
+            rawPrice0: 1 / 2000, rawPrice1: 2000
+        });
+        monitor.priceCache.set('0xthin', {
+            pairAddress: '0xthin', token0: DAI, token1: WETH,
+            reserve0: (2000n * 10n ** 18n).toString(), reserve1: (10n ** 18n).toString(),
+            rawPrice0: 1 / 2000, rawPrice1: 2000
+        });
+
+        const discovery = new PairDiscovery(null, monitor);
+        const prices = monitor.getTokenPricesInEth();
+
+        const deep = discovery.estimateLiquidityEth('0xdeep', prices);
+        const thin = discovery.estimateLiquidityEth('0xthin', prices);
+        suite.assert(Math.abs(deep - 2000) < 1e-6, `Expected 2000 ETH, got ${deep}`);
+        suite.assert(thin < discovery.minLiquidityEth, 'Thin pool should fall below the threshold');
+    });
+
+    return await suite.run();
+}
+
+async function testMulticall() {
+    const suite = new SimpleTest('Multicall Tests');
+    const Multicall = require('../src/multicall');
+
+    const pairInterface = new ethers.Interface([
+        'function getReserves() external view returns (uint112 reserve0, uint112 reserve1, uint32 blockTimestampLast)'
+    ]);
+    const pair = new ethers.Contract('0xa478c2975ab1ea89e8196811f51a7b7ade33eb11', pairInterface);
+
+    suite.test('Should batch calls, pin the block and report failures per call', async () => {
+        const multicall = new Multicall(null, 2);
+        const batches = [];
+
+        multicall.contract = {
+            aggregate3: {
+                staticCall: async (calls, overrides) => {
+                    batches.push({ size: calls.length, blockTag: overrides.blockTag });
+                    return calls.map((call, index) => ({
+                        success: !(batches.length === 2 && index === 0),
+                        returnData: pairInterface.encodeFunctionResult('getReserves', [100n, 200n, 0])
+                    }));
+                }
+            }
+        };
+
+        const calls = [0, 1, 2].map(() => ({ contract: pair, method: 'getReserves' }));
+        const results = await multicall.aggregate(calls, 12345);
+
+        suite.assertEqual(batches.length, 2, 'Should split into two batches');
+        suite.assert(batches.every(batch => batch.blockTag === 12345), 'Every batch should use the same block');
+        suite.assertEqual(results[0].result.reserve1, 200n);
+        suite.assert(results[1].success, 'Second call should succeed');
+        suite.assert(!results[2].success, 'Reverted call should be reported as failed');
+    });
+
+    return await suite.run();
+}
+
+async function testCurveStableSwap() {
+    const suite = new SimpleTest('Curve StableSwap Tests');
+    const CurvePool = require('../src/curve');
+
+    const DAI = '0x6B175474E89094C44Da98b954EedeAC495271d0F';
+    const USDC = '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48';
+    const pair = { coins: [DAI, USDC], decimals: [18, 6], exchange: 'Curve' };
+    const state = {
+        balances: [ethers.parseUnits('10000000', 18), ethers.parseUnits('10000000', 6)],
+        multipliers: [1n, 10n ** 12n],
+        amp: 2000n,
+        fee: 4000000n // 0.04%
+    };
+
+    suite.test('Should keep D equal to the sum of balances in a balanced pool', async () => {
+        const xp = [ethers.parseEther('500'), ethers.parseEther('500')];
+        suite.assertEqual(CurvePool.getD(xp, 100n), ethers.parseEther('1000'));
+    });
+
+    suite.test('Should quote near-1:1 stablecoin swaps across decimals', async () => {
+        const dy = CurvePool.getDy(state, 0, 1, ethers.parseUnits('1000', 18));
+        // 0.04% fee plus a negligible price impact on a deep balanced pool
+        suite.assert(dy < ethers.parseUnits('999.6', 6), `Output too high: ${dy}`);
+        suite.assert(dy > ethers.parseUnits('999.5', 6), `Output too low: ${dy}`);
+
+        const back = CurvePool.getDy(state, 1, 0, dy);
+        suite.assert(back < ethers.parseUnits('1000', 18), 'Round trip must not gain');
+    });
+
+    suite.test('Should compare Curve prices against a V2 pool in the scan', async () => {
+        const monitor = new DexMonitor();
+        const views = monitor.updateCurvePrice('0xcurve', pair, state);
+        suite.assertEqual(views.length, 1);
+        suite.assertEqual(views[0].pairAddress, '0xcurve:0:1');
+
+        // DAI trades 2% rich against USDC on the V2 pool
+        monitor.updateV2Price('0xv2', { token0: DAI, token1: USDC, decimals0: 18, decimals1: 6, exchange: 'Uniswap V2', feeBps: 30 },
+            ethers.parseUnits('1000000', 18), ethers.parseUnits('1020000', 6));
+
+        const opportunities = await monitor.scanForArbitrageOpportunities(['0xcurve']);
+        suite.assert(opportunities.length > 0, 'Should find the Curve/V2 gap');
+        // Starting in DAI: sell it rich on V2, buy it back near peg on Curve
+        suite.assertEqual(opportunities[0].legs[0].exchange, 'Uniswap V2');
+        suite.assertEqual(opportunities[0].legs[1].exchange, 'Curve');
+        suite.assert(opportunities[0].netProfit > 0n, 'Should be profitable after both fees');
+    });
+
+    return await suite.run();
+}
+
+async function testBalancerWeightedPool() {
+    const suite = new SimpleTest('Balancer Weighted Pool Tests');
+    const BalancerWeightedPool = require('../src/balancer');
+
+    suite.test('Should match the weighted out-given-in formula for an 80/20 pool', async () => {
+        const state = {
+            balances: [ethers.parseEther('800'), ethers.parseEther('200')],
+            weights: [ethers.parseEther('0.8'), ethers.parseEther('0.2')],
+            swapFee: ethers.parseEther('0.01')
+        };
+
+        const out = BalancerWeightedPool.getAmountOut(state, 0, 1, ethers.parseEther('10'));
+        const expected = 200 * (1 - (800 / (800 + 9.9)) ** 4);
+        suite.assert(Math.abs(Number(ethers.formatEther(out)) - expected) < 1e-9, `Expected ${expected}, got ${ethers.formatEther(out)}`);
+        suite.assertEqual(BalancerWeightedPool.getAmountOut(state, 0, 1, ethers.parseEther('300')), null, 'Swaps above 30% of balanceIn revert');
+        suite.assert(BalancerWeightedPool.getAmountOut(state, 0, 1, ethers.parseEther('242')) > 0n, 'The limit applies after the fee');
+    });
+
+    suite.test('Should route a token-graph cycle through a Balancer pool', async () => {
+        const monitor = new DexMonitor();
+        const WETH = '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2';
+        const WBTC = '0x2260FAC5E5542a773Aa44fBCfeDf7C193bc2C599';
+        const USDC = '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48';
+
+        // WBTC is 5% cheaper in WETH on Balancer than via USDC
+        monitor.updateBalancerPrice('0xbal', { coins: [WBTC, WETH], decimals: [8, 18], exchange: 'Balancer', type: 'balancer' }, {
+            balances: [100n * 10n ** 8n, 1900n * 10n ** 18n],
+            weights: [ethers.parseEther('0.5'), ethers.parseEther('0.5')],
+            swapFee: ethers.parseEther('0.003')
+        });
+        monitor.updateV2Price('0x1', { token0: WBTC, token1: USDC, decimals0: 8, decimals1: 6, exchange: 'Uniswap V2', feeBps: 30 }, 1000n * 10n ** 8n, 40000000n * 10n ** 6n);
+        monitor.updateV2Price('0x2', { token0: USDC, token1: WETH, decimals0: 6, decimals1: 18, exchange: 'Uniswap V2', feeBps: 30 }, 40000000n * 10n ** 6n, 20000n * 10n ** 18n);
+
+        const opportunities = monitor.findCycleOpportunities();
+        suite.assert(opportunities.length > 0, 'Should find the cycle');
+        suite.assertEqual(opportunities[0].legs[0].exchange, 'Balancer', 'Should buy WBTC on Balancer');
+        suite.assert(opportunities[0].netProfit > 0n, 'Cycle should be profitable after fees');
+    });
+
+    return await suite.run();
+}
+
+async function testChainReorg() {
+    const suite = new SimpleTest('Chain Reorg Tests');
+    const ChainTracker = require('../src/reorg');
+    const RiskManager = require('../src/risk');
+
+    const header = (number, fork = 'a') => ({
+        number,
+        hash: `0x${fork}${number}`,
+        parentHash: `0x${number <= 101 ? 'a' : fork}${number - 1}`
+    });
+
+    suite.test('Should find the common ancestor when the chain diverges', async () => {
+        const canonical = new Map([[100, header(100)], [101, header(101)], [102, header(102, 'b')], [103, header(103, 'b')]]);
+        const tracker = new ChainTracker({ getBlock: async (number) => canonical.get(number) }, 64);
+
+        for (const number of [100, 101, 102, 103]) {
+            suite.assertEqual(await tracker.processBlock(header(number)), null);
+        }
+
+        // Fork b replaces 102 and 103; the new head arrives after a gap
+        const reorg = await tracker.processBlock(header(104, 'b'));
+        suite.assert(reorg !== null, 'Should report the reorg');
+        suite.assertEqual(reorg.commonAncestor, 101);
+        suite.assertEqual(reorg.dropped.map(block => block.number).join(','), '103,102');
+        suite.assertEqual(tracker.getHash(103), null, 'Dropped hashes should be forgotten');
+    });
+
+    suite.test('Should roll back cached prices and trades from dropped blocks', async () => {
+        const monitor = new DexMonitor();
+        const pair = {
+            token0: '0x6B175474E89094C44Da98b954EedeAC495271d0F',
+            token1: '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2',
+            decimals0: 18,
+            decimals1: 18,
+            exchange: 'Uniswap V2'
+        };
+        monitor.updateV2Price('0x1', pair, 1000n, 1n, { number: 100, hash: '0xa100' });
+        monitor.updateV2Price('0x2', pair, 1000n, 1n, { number: 102, hash: '0xa102' });
+        monitor.confirmSnapshotsThrough({ number: 102, hash: '0xa102' });
+
+        const affected = monitor.rollbackToBlock({ commonAncestor: 101, dropped: [{ number: 102, hash: '0xa102' }] });
+        suite.assertEqual(affected.join(','), '0x2');
+        suite.assert(!monitor.getCachedPrice('0x2'), 'Entry from a dropped block should be removed');
+        suite.assertEqual(monitor.getCachedPrice('0x1').validThrough, 101, 'Confirmation on the dropped chain should be undone');
+
+        const riskManager = new RiskManager();
+        riskManager.recordTradeResult(10n ** 18n, ethers.parseEther('0.05'), 300000, 100);
+        riskManager.recordTradeResult(10n ** 18n, ethers.parseEther('0.02'), 300000, 102);
+
+        const reverted = riskManager.handleReorg(101);
+        suite.assertEqual(reverted.length, 1);
+        suite.assertEqual(riskManager.dailyStats.trades, 1);
+        suite.assertEqual(riskManager.dailyStats.totalProfit, ethers.parseEther('0.05'));
+        suite.assertEqual(riskManager.getPendingTrades().length, 1);
+    });
+
+    suite.test('Should count reorged trades again once re-included', async () => {
+        const MEVBot = require('../src/index');
+        const bot = new MEVBot();
+        bot.riskManager = new RiskManager();
+        const included = new Map([['0xb', { blockNumber: 103 }]]);
+        bot.provider = { getTransactionReceipt: async (hash) => included.get(hash) || null };
+
+        bot.riskManager.recordTradeResult(10n ** 18n, ethers.parseEther('0.02'), 300000, 102, '0xb');
+        bot.riskManager.recordTradeResult(10n ** 18n, ethers.parseEther('0.01'), 300000, 102, '0xc');
+        bot.riskManager.recordTradeResult(10n ** 18n, ethers.parseEther('0.03'), 300000, null); // Simulated
+        suite.assertEqual(bot.riskManager.handleReorg(101).length, 2, 'Simulated trades cannot be reorged out');
+
+        await bot.confirmPendingTrades(103);
+        suite.assertEqual(bot.riskManager.recentTrades[0].status, 'confirmed');
+        suite.assertEqual(bot.riskManager.recentTrades[0].blockNumber, 103);
+        suite.assertEqual(bot.riskManager.dailyStats.totalProfit, ethers.parseEther('0.05'));
+
+        await bot.confirmPendingTrades(101 + 1000); // Past REORG_TRACK_DEPTH
+        suite.assertEqual(bot.riskManager.getPendingTrades().length, 0, 'Trades never re-included are dropped');
+    });
+
+    return await suite.run();
+}
+
+async function testAtomicExecution() {
+    const suite = new SimpleTest('Atomic Execution Tests');
+    const AtomicArbitrageBuilder = require('../src/atomic');
+    const ArbitrageExecutor = require('../src/executor');
+
+    const DAI = '0x6B175474E89094C44Da98b954EedeAC495271d0F';
+    const WETH = '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2';
+    const opportunity = {
+        tokenIn: WETH,
+        amountIn: 10n ** 18n,
+        expectedOutput: 102n * 10n ** 16n,
+        tokenInEthRate: { numerator: 1n, denominator: 1n },
+        legs: [
+            { pool: '0x0000000000000000000000000000000000000001', poolAddress: '0x0000000000000000000000000000000000000001', poolType: 'v2', tokenIn: WETH, tokenOut: DAI, zeroForOne: false, feePips: 3000, amountIn: 10n ** 18n, amountOut: 2000n * 10n ** 18n },
+            { pool: '0x0000000000000000000000000000000000000002', poolAddress: '0x0000000000000000000000000000000000000002', poolType: 'v2', tokenIn: DAI, tokenOut: WETH, zeroForOne: true, feePips: 3000, amountIn: 2000n * 10n ** 18n, amountOut: 102n * 10n ** 16n }
+        ]
+    };
+
+    suite.test('Should borrow a V2 first leg from its own pool', async () => {
+        const builder = new AtomicArbitrageBuilder('0x00000000000000000000000000000000000000aa', 5);
+        const plan = builder.buildPlan(opportunity);
+
+        suite.assertEqual(plan.source, 'uniswap-v2-flash-swap');
+        suite.assertEqual(plan.borrowAmount, 2000n * 10n ** 18n);
+        suite.assertEqual(plan.repayAmount, 10n ** 18n);
+        suite.assertEqual(plan.expectedProfit, 2n * 10n ** 16n);
+
+        const args = builder.interface.decodeFunctionData('flashSwapArbitrage', plan.data);
+        suite.assertEqual(args.pair, '0x0000000000000000000000000000000000000001');
+        suite.assertEqual(args.legs.length, 1, 'The borrowed leg is settled by the flash swap itself');
+        suite.assert(args.minProfit > 0n && args.minProfit < plan.expectedProfit, 'Minimum profit should leave room for slippage');
+    });
+
+    suite.test('Should encode every leg into one contract call', async () => {
+        const builder = new AtomicArbitrageBuilder('0x00000000000000000000000000000000000000aa', 5);
+        const poolId = '0xa6f548df93de924d73be7d25dc02554c6bd66db500020000000000000000000e';
+        const USDC = '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48';
+        const route = {
+            ...opportunity,
+            legs: [
+                { ...opportunity.legs[0], poolType: 'balancer', poolId },
+                { ...opportunity.legs[1], tokenOut: USDC, poolType: 'curve', poolAddress: '0xbEbc44782C7dB0a1A60Cb6fe97d0b483032FF1C7', coinIndexIn: 0, coinIndexOut: 1 },
+                { ...opportunity.legs[1], tokenIn: USDC, poolType: 'v3', poolAddress: '0x0000000000000000000000000000000000000003' }
+            ]
+        };
+
+        const call = builder.buildDirectCall(route);
+        const args = builder.interface.decodeFunctionData('execute', call.data);
+        suite.assertEqual(args.legs.map(leg => Number(leg.kind)).join(','), '3,2,1');
+        suite.assertEqual(args.legs[0].extra, poolId);
+
+        const [i, j] = ethers.AbiCoder.defaultAbiCoder().decode(['int128', 'int128'], args.legs[1].extra);
+        suite.assertEqual(`${i},${j}`, '0,1');
+        suite.assertEqual(args.legs[2].extra, '0x');
+        suite.assert(args.minProfit > 0n && args.minProfit < call.expectedProfit, 'Contract should revert below the slippage-adjusted profit');
+
+        // Flash funding of a non-V2 first leg goes through Aave and pays its premium
+        const plan = builder.buildPlan(route);
+        suite.assertEqual(plan.source, 'aave-flash-loan');
+        suite.assertEqual(plan.expectedProfit, call.expectedProfit - plan.loanFee);
+    });
+
+    suite.test('Should read real amounts and reverts from a fork simulation', async () => {
+        const TradeSimulator = require('../src/simulator');
+        const wallet = '0x00000000000000000000000000000000000000bb';
+        const contract = '0x00000000000000000000000000000000000000aa';
+        const pad = (address) => ethers.zeroPadValue(address, 32);
+        const transfer = (token, from, to, amount, position) => ({
+            address: token,
+            topics: [ethers.id('Transfer(address,address,uint256)'), pad(from), pad(to)],
+            data: ethers.toBeHex(amount, 32),
+            position: ethers.toQuantity(position)
+        });
+
+        // Pull from the wallet, leg 1 and leg 2 in subcalls, proceeds back to the wallet
+        let trace = {
+            gasUsed: '0x2bf20',
+            logs: [transfer(WETH, wallet, contract, 10n ** 18n, 0), transfer(WETH, contract, wallet, 101n * 10n ** 16n, 2)],
+            calls: [
+                { logs: [transfer(DAI, '0x0000000000000000000000000000000000000001', contract, 1990n * 10n ** 18n, 0)] },
+                { logs: [transfer(WETH, '0x0000000000000000000000000000000000000002', contract, 101n * 10n ** 16n, 0)] }
+            ]
+        };
+        const simulator = new TradeSimulator({ send: async () => trace });
+        const options = { blockTag: 100, tokenIn: WETH, profitRecipient: wallet };
+
+        let simulation = await simulator.simulate({ from: wallet, to: contract, data: '0x' }, options);
+        suite.assert(simulation.success);
+        suite.assertEqual(simulation.gasUsed, 180000n);
+        suite.assertEqual(simulation.amountsOut.join(','), `${1990n * 10n ** 18n},${101n * 10n ** 16n}`);
+        suite.assertEqual(simulation.profit, 10n ** 16n);
+        suite.assertEqual(TradeSimulator.getDeviationPercent(simulation.profit, 2n * 10n ** 16n), 50);
+
+        const reason = ethers.concat(['0x08c379a0', ethers.AbiCoder.defaultAbiCoder().encode(['string'], ['profit below minimum'])]);
+        trace = { gasUsed: '0x1000', error: 'execution reverted', output: reason };
+        simulation = await simulator.simulate({ from: wallet, to: contract, data: '0x' }, options);
+        suite.assert(!simulation.success);
+        suite.assertEqual(simulation.revertReason, 'profit below minimum');
+    });
+
+    suite.test('Should simulate a first trade with an overridden allowance before approving', async () => {
+        const TradeSimulator = require('../src/simulator');
+        const wallet = '0x00000000000000000000000000000000000000bb';
+        const contract = '0x00000000000000000000000000000000000000aa';
+        const [allowanceKey] = TradeSimulator.getAllowanceKeys(wallet, contract, 4); // WETH's allowance mapping
+
+        let traceOverrides = null;
+        const simulator = new TradeSimulator({
+            send: async (method, params) => {
+                if (method === 'eth_call') {
+                    const overridden = params[2][WETH].stateDiff[allowanceKey] !== undefined;
+                    return overridden ? ethers.toBeHex(ethers.MaxUint256, 32) : ethers.toBeHex(0, 32);
+                }
+                traceOverrides = params[2].stateOverrides;
+                return { gasUsed: '0x1000', error: 'execution reverted' };
+            }
+        });
+
+        const executor = new ArbitrageExecutor(null, { address: wallet });
+        executor.arbitrageBuilder = new AtomicArbitrageBuilder(contract, 5);
+        executor.simulator = simulator;
+        let approvals = 0;
+        executor.ensureAllowance = async () => { approvals++; return true; };
+
+        const call = executor.arbitrageBuilder.buildDirectCall(opportunity);
+        suite.assertEqual(await executor.sendArbitrageCall({ ...opportunity, blockNumber: 100 }, 10n ** 18n, call, true), null);
+        suite.assertEqual(traceOverrides[WETH].stateDiff[allowanceKey], ethers.toBeHex(ethers.MaxUint256, 32));
+        suite.assertEqual(approvals, 0, 'Nothing should be sent for a trade that fails simulation');
+    });
+
+    suite.test('Should free the nonce when the relay fails', async () => {
+        const provider = { getBlockNumber: async () => 100, getTransactionCount: async () => 7 };
+        const wallet = { address: DAI, provider, populateTransaction: async (request) => request, signTransaction: async () => '0x02' };
+        const executor = new ArbitrageExecutor(provider, wallet);
+        executor.relay = { callBundle: async () => { throw new Error('Relay timeout'); } };
+
+        const call = { to: WETH, data: '0x', source: 'wallet' };
+        let error = null;
+        await executor.submitBundle({ ...opportunity, blockNumber: 100 }, call, { gasLimit: 300000 }).catch(e => { error = e; });
+        suite.assertEqual(error && error.message, 'Relay timeout');
+        suite.assertEqual(await executor.nonceManager.getNonce(), 7, 'The failed bundle should not leave a nonce gap');
+    });
+
+    suite.test('Should re-target bundles on a mock relay until included', async () => {
+        const http = require('http');
+        const BundleRelay = require('../src/relay');
+
+        const requests = [];
+        const server = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', chunk => { body += chunk; });
+            req.on('end', () => {
+                const { id, method, params } = JSON.parse(body);
+                requests.push({ method, params, body, signature: req.headers['x-flashbots-signature'] });
+                const result = method === 'eth_callBundle' ? { results: [{ gasUsed: 150000 }] } : { bundleHash: `0x${requests.length}` };
+                res.setHeader('Content-Type', 'application/json');
+                res.end(JSON.stringify({ jsonrpc: '2.0', id, result }));
+            });
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+        try {
+            const authSigner = ethers.Wallet.createRandom();
+            const relay = new BundleRelay(`http://127.0.0.1:${server.address().port}`, authSigner);
+            relay.pollInterval = 0;
+
+            const signer = ethers.Wallet.createRandom();
+            const signedTransaction = await signer.signTransaction({
+                to: WETH, data: '0x', gasLimit: 300000, nonce: 0, chainId: 1, type: 2,
+                maxFeePerGas: 30n * 10n ** 9n, maxPriorityFeePerGas: 10n ** 9n
+            });
+
+            // The bundle misses block 101 and lands in 102
+            let head = 100;
+            const provider = {
+                getBlockNumber: async () => ++head,
+                getTransactionReceipt: async () => head >= 102 ? { status: 1, blockNumber: 102 } : null
+            };
+
+            const check = await relay.callBundle([signedTransaction], 101, 100);
+            suite.assertEqual(check.results.length, 1);
+
+            const submission = await relay.submitUntilIncluded([signedTransaction], provider, 101, 103);
+            suite.assert(submission.included, 'Bundle should be included');
+            suite.assertEqual(submission.attempts, 2);
+            suite.assertEqual(requests.filter(r => r.method === 'eth_sendBundle').map(r => r.params[0].blockNumber).join(','), '0x65,0x66');
+
+            // A node stuck below the target ends the submission
+            relay.blockTimeout = 0;
+            const stalled = await relay.submitUntilIncluded([signedTransaction], { getBlockNumber: async () => 100 }, 101, 103);
+            suite.assert(!stalled.included && stalled.timedOut, 'Waiting should stop when no block arrives');
+            suite.assertEqual(stalled.attempts, 1);
+
+            const [address, signature] = requests[0].signature.split(':');
+            suite.assertEqual(address, authSigner.address);
+            suite.assertEqual(ethers.verifyMessage(ethers.id(requests[0].body), signature), authSigner.address);
+        } finally {
+            server.close();
+        }
+    });
+
+    suite.test('Should hand out nonces once and replace stuck transactions', async () => {
+        const NonceManager = require('../src/nonce');
+        const GasOptimizer = require('../src/gas');
+
+        let head = 200;
+        let countCalls = 0;
+        const sent = [];
+        const provider = {
+            getTransactionCount: async () => { countCalls++; return 7; },
+            getBlockNumber: async () => head++,
+            getTransactionReceipt: async (hash) => hash === '0x2' ? { hash, status: 1 } : null,
+            getFeeData: async () => ({ gasPrice: 10n ** 9n, maxFeePerGas: 20n * 10n ** 9n, maxPriorityFeePerGas: 10n ** 9n })
+        };
+        const wallet = {
+            address: WETH,
+            provider,
+            sendTransaction: async (request) => {
+                sent.push(request);
+                return { hash: `0x${sent.length}`, nonce: request.nonce, maxFeePerGas: request.maxFeePerGas ?? 20n * 10n ** 9n, maxPriorityFeePerGas: request.maxPriorityFeePerGas ?? 10n ** 9n };
+            }
+        };
+
+        const manager = new NonceManager(wallet, new GasOptimizer(provider));
+        const nonces = await Promise.all([manager.getNonce(), manager.getNonce(), manager.getNonce()]);
+        suite.assertEqual(nonces.join(','), '7,8,9');
+        suite.assertEqual(countCalls, 1, 'Concurrent callers should share one sync');
+
+        manager.nextNonce = null;
+        manager.stuckBlocks = 2;
+        manager.stuckAction = 'speedup';
+        manager.pollInterval = 0;
+        const tx = await manager.sendTransaction({ to: DAI, data: '0x1234', gasLimit: 300000 });
+        const receipt = await manager.waitForTransaction(tx.nonce);
+
+        suite.assertEqual(receipt.hash, '0x2', 'The speed-up should be the mined version');
+        suite.assertEqual(sent[1].nonce, sent[0].nonce);
+        suite.assertEqual(sent[1].data, '0x1234');
+        suite.assert(sent[1].maxFeePerGas * 1000n >= 20n * 10n ** 9n * 1125n, 'Replacement should bump the fee by at least 12.5%');
+        suite.assertEqual(manager.getPendingCount(), 0);
+    });
+
+    suite.test('Should cancel speed-ups that would bid past break-even', async () => {
+        const NonceManager = require('../src/nonce');
+        const GasOptimizer = require('../src/gas');
+        const config = require('../src/config');
+
+        let head = 250;
+        const sent = [];
+        const provider = {
+            getTransactionCount: async () => 7,
+            getBlockNumber: async () => head++,
+            getTransactionReceipt: async (hash) => hash === '0x2' ? { hash, status: 1 } : null,
+            getFeeData: async () => ({ gasPrice: 10n ** 9n, maxFeePerGas: 20n * 10n ** 9n, maxPriorityFeePerGas: 10n ** 9n })
+        };
+        const wallet = {
+            address: WETH,
+            provider,
+            sendTransaction: async (request) => {
+                sent.push(request);
+                return { hash: `0x${sent.length}`, nonce: request.nonce, maxFeePerGas: request.maxFeePerGas, maxPriorityFeePerGas: request.maxPriorityFeePerGas };
+            }
+        };
+
+        const manager = new NonceManager(wallet, new GasOptimizer(provider));
+        manager.stuckBlocks = 2;
+        manager.stuckAction = 'speedup';
+        manager.pollInterval = 0;
+        const fees = { maxFeePerGas: 20n * 10n ** 9n, maxPriorityFeePerGas: 10n ** 9n };
+        const tx = await manager.sendTransaction({ to: DAI, data: '0x1234', gasLimit: 300000, ...fees }, { maxFeeCap: 21n * 10n ** 9n });
+        const receipt = await manager.waitForTransaction(tx.nonce);
+
+        suite.assertEqual(receipt, null, 'The trade was cancelled');
+        suite.assertEqual(sent[1].to, WETH, 'A 12.5% bump is past the cap, so the nonce is sent to ourselves');
+        suite.assertEqual(sent[1].data, '0x');
+
+        const previous = process.env.GAS_BID_PROFIT_SHARE;
+        process.env.GAS_BID_PROFIT_SHARE = '0';
+        try {
+            suite.assertEqual(config.mev.bidProfitShare, 0, 'A share of 0 is honoured');
+        } finally {
+            if (previous === undefined) delete process.env.GAS_BID_PROFIT_SHARE;
+            else process.env.GAS_BID_PROFIT_SHARE = previous;
+        }
+    });
+
+    suite.test('Should stop waiting when the nonce is used elsewhere', async () => {
+        const NonceManager = require('../src/nonce');
+
+        let head = 300;
+        let confirmedCount = 7;
+        const provider = {
+            getTransactionCount: async (address, tag) => (tag === 'latest' ? confirmedCount : 7),
+            getBlockNumber: async () => head++,
+            getTransactionReceipt: async () => null
+        };
+        const wallet = {
+            address: WETH,
+            provider,
+            sendTransaction: async (request) => {
+                if (request.nonce === 7 && request.maxFeePerGas > 20n * 10n ** 9n) {
+                    confirmedCount = 8; // Another wallet's transaction took the nonce first
+                    throw Object.assign(new Error('nonce too low'), { code: 'NONCE_EXPIRED' });
+                }
+                return { hash: '0x1', nonce: request.nonce, maxFeePerGas: 20n * 10n ** 9n, maxPriorityFeePerGas: 10n ** 9n };
+            }
+        };
+        const gasOptimizer = { getReplacementFees: async () => ({ maxFeePerGas: 30n * 10n ** 9n, maxPriorityFeePerGas: 2n * 10n ** 9n }) };
+
+        const manager = new NonceManager(wallet, gasOptimizer);
+        manager.stuckBlocks = 1;
+        manager.pollInterval = 0;
+        const tx = await manager.sendTransaction({ to: DAI, data: '0x', gasLimit: 300000 });
+
+        suite.assertEqual(await manager.waitForTransaction(tx.nonce), null);
+        suite.assertEqual(manager.getPendingCount(), 0);
+    });
+
+    suite.test('Should compute realized PnL from receipt logs', async () => {
+        const PnlCalculator = require('../src/pnl');
+        const events = new ethers.Interface([
+            'event Transfer(address indexed from, address indexed to, uint256 value)',
+            'event Swap(address indexed sender, uint256 amount0In, uint256 amount1In, uint256 amount0Out, uint256 amount1Out, address indexed to)'
+        ]);
+        const wallet = '0x00000000000000000000000000000000000000bb';
+        const contract = '0x00000000000000000000000000000000000000aa';
+        const [pool1, pool2] = opportunity.legs.map(leg => leg.poolAddress);
+        const log = (address, name, args) => ({ address, ...events.encodeEventLog(name, args) });
+
+        const receipt = {
+            status: 1,
+            gasUsed: 150000n,
+            gasPrice: 20n * 10n ** 9n,
+            logs: [
+                log(WETH, 'Transfer', [wallet, contract, 10n ** 18n]),
+                log(WETH, 'Transfer', [contract, pool1, 10n ** 18n]),
+                log(pool1, 'Swap(address,uint256,uint256,uint256,uint256,address)', [contract, 0n, 10n ** 18n, 1990n * 10n ** 18n, 0n, contract]),
+                log(pool2, 'Swap(address,uint256,uint256,uint256,uint256,address)', [contract, 1990n * 10n ** 18n, 0n, 0n, 1015n * 10n ** 15n, contract]),
+                log(WETH, 'Transfer', [contract, wallet, 1015n * 10n ** 15n])
+            ]
+        };
+
+        const pnl = PnlCalculator.fromReceipt(receipt, opportunity, wallet);
+        suite.assertEqual(pnl.tokensReceived, 15n * 10n ** 15n);
+        suite.assertEqual(pnl.legAmounts[0].amountOut, 1990n * 10n ** 18n);
+        suite.assertEqual(pnl.legAmounts[1].amountOut, 1015n * 10n ** 15n);
+        suite.assertEqual(pnl.gasCostWei, 3n * 10n ** 15n);
+        suite.assertEqual(pnl.pnlWei, 12n * 10n ** 15n);
+
+        const reverted = PnlCalculator.fromReceipt({ ...receipt, status: 0 }, opportunity, wallet);
+        suite.assertEqual(reverted.pnlWei, -3n * 10n ** 15n, 'A revert only costs gas');
+    });
+
+    suite.test('Should not cap flash-funded trades by wallet balance', async () => {
+        const executor = new ArbitrageExecutor(null, { address: WETH });
+        executor.getTokenBalance = async () => 0n;
+
+        executor.executionMode = 'wallet';
+        suite.assertEqual(await executor.calculateOptimalTradeSize(opportunity), null);
+
+        executor.executionMode = 'flash';
+        suite.assertEqual(await executor.calculateOptimalTradeSize(opportunity), 10n ** 18n);
+        suite.assertEqual(AtomicArbitrageBuilder.getAavePremium(10n ** 18n, 5), 5n * 10n ** 14n);
+    });
+
+    suite.test('Should size WETH trades by the WETH balance, not ETH', async () => {
+        const provider = {
+            getBalance: async () => 10n * 10n ** 18n,
+            call: async () => ethers.toBeHex(0, 32) // balanceOf
+        };
+        const executor = new ArbitrageExecutor(provider, { address: DAI });
+
+        suite.assertEqual(await executor.getTokenBalance(WETH), 0n);
+        suite.assertEqual(await executor.calculateOptimalTradeSize(opportunity), null);
+    });
+
+    suite.test('Should fill paper trades at current prices and charge gas', async () => {
+        const PaperTrader = require('../src/paper');
+        const GasOptimizer = require('../src/gas');
+        const monitor = new DexMonitor();
+        const pair = (exchange) => ({ token0: DAI, token1: WETH, decimals0: 18, decimals1: 18, exchange, feeBps: 30 });
+        monitor.updateV2Price('0x1', pair('Uniswap V2'), 2000000n * 10n ** 18n, 1000n * 10n ** 18n, { number: 100, hash: '0xa' });
+        monitor.updateV2Price('0x2', pair('SushiSwap'), 1900000n * 10n ** 18n, 1000n * 10n ** 18n, { number: 100, hash: '0xa' });
+        const [detected] = await monitor.scanForArbitrageOpportunities();
+
+        const paper = new PaperTrader(monitor, [[WETH.toLowerCase(), 20n * 10n ** 18n]]);
+
+        // The second pool moves against us before the fill
+        monitor.updateV2Price('0x2', pair('SushiSwap'), 1910000n * 10n ** 18n, 1000n * 10n ** 18n, { number: 100, hash: '0xa' });
+        const result = await paper.fill(detected, detected.amountIn, { gasUsed: 300000, gasPrice: 10n * 10n ** 9n });
+
+        suite.assert(result.paper, 'Result should be marked as a paper trade');
+        suite.assert(result.slippage > 0n, 'Price move should show up as slippage');
+        suite.assertEqual(result.gasCostWei, 3n * 10n ** 15n);
+        suite.assertEqual(paper.getBalance(WETH), 20n * 10n ** 18n + result.tokensReceived - result.gasCostWei);
+        suite.assertEqual(paper.equityCurve.length, 1);
+        suite.assertEqual(paper.equityCurve[0].equityWei, paper.getBalance(WETH));
+
+        // Without a legacy gas price the fill still pays the live EIP-1559 bid
+        const gwei = (value) => BigInt(value) * 10n ** 9n;
+        const provider = {
+            getFeeData: async () => ({ gasPrice: null, maxFeePerGas: gwei(30), maxPriorityFeePerGas: gwei(1) }),
+            send: async () => ({
+                oldestBlock: '0x64',
+                baseFeePerGas: [gwei(10), gwei(10)].map(fee => ethers.toQuantity(fee)),
+                gasUsedRatio: [0.5],
+                reward: [[gwei(1), gwei(2), gwei(3), gwei(4)].map(reward => ethers.toQuantity(reward))]
+            })
+        };
+        const executor = new ArbitrageExecutor(provider, null, new GasOptimizer(provider));
+        executor.paperTrader = paper;
+        const live = await executor.getProfitBid(detected);
+        const paid = await executor.executePaperTrade({ ...detected, profitPercent: 1 });
+        suite.assert(live && paid, 'The live bid and the paper fill should both exist');
+        suite.assertEqual(paid.gasCostWei, BigInt(paid.gasUsed) * live.gasPrice, 'Paper fills pay the live bid');
+    });
+
+    return await suite.run();
+}
+
+async function testGasStrategy() {
+    const suite = new SimpleTest('Gas Strategy Tests');
+    const GasOptimizer = require('../src/gas');
+    const gwei = (value) => BigInt(value) * 10n ** 9n;
+
+    // Three blocks at 10, 11 and 12 gwei base fee, the middle one empty;
+    // rewards are the 10th, 50th, 75th and 90th percentiles
+    const feeHistoryProvider = (nextBaseFee) => ({
+        getFeeData: async () => ({ gasPrice: gwei(12), maxFeePerGas: gwei(30), maxPriorityFeePerGas: gwei(1) }),
+        send: async (method, params) => {
+            if (method !== 'eth_feeHistory') throw new Error(`Unexpected ${method}`);
+            suite.assertEqual(params[2].join(','), '10,50,75,90');
+            return {
+                oldestBlock: ethers.toQuantity(100),
+                baseFeePerGas: [gwei(10), gwei(11), gwei(12), nextBaseFee].map(fee => ethers.toQuantity(fee)),
+                gasUsedRatio: [0.6, 0, 0.9],
+                reward: [
+                    [gwei(1), gwei(2), gwei(3), gwei(5)],
+                    ['0x0', '0x0', '0x0', '0x0'],
+                    [gwei(1), gwei(4), gwei(6), gwei(9)]
+                ].map(block => block.map(reward => ethers.toQuantity(reward)))
+            };
+        }
+    });
+
+    suite.test('Should derive EIP-1559 fees from fee history', async () => {
+        const optimizer = new GasOptimizer(feeHistoryProvider(gwei(16)));
+
+        const normal = await optimizer.getOptimalGasPrice('normal');
+        suite.assertEqual(normal.baseFeePerGas, gwei(16), 'Next block base fee is the last entry');
+        suite.assertEqual(normal.maxPriorityFeePerGas, gwei(4), 'Median of non-empty blocks at the 50th percentile');
+        suite.assertEqual(normal.maxFeePerGas, gwei(18) + gwei(4), 'One block of 12.5% base fee growth');
+        suite.assertEqual(normal.gasPrice, gwei(20));
+
+        const urgent = await optimizer.getOptimalGasPrice('urgent');
+        suite.assertEqual(urgent.maxPriorityFeePerGas, gwei(9));
+        suite.assert(urgent.maxFeePerGas > normal.maxFeePerGas, 'Urgent should allow more base fee growth');
+    });
+
+    suite.test('Should cap fees at the maximum gas price and fall back to legacy pricing', async () => {
+        const optimizer = new GasOptimizer(feeHistoryProvider(gwei(80)));
+        const capped = await optimizer.getOptimalGasPrice('normal');
+        suite.assertEqual(capped.maxFeePerGas, optimizer.maxGasPrice);
+        suite.assert(capped.maxPriorityFeePerGas <= capped.maxFeePerGas, 'Tip cannot exceed the fee cap');
+
+        const legacy = new GasOptimizer({ getFeeData: async () => ({ gasPrice: gwei(12) }), send: async () => { throw new Error('method not found'); } });
+        const fees = await legacy.getOptimalGasPrice('high');
+        suite.assertEqual(fees.maxFeePerGas, null);
+        suite.assertEqual(fees.gasPrice, gwei(12) * 120n / 100n);
+    });
+
+    suite.test('Should bid a share of the profit, capped at break-even and at the landing tip', async () => {
+        const optimizer = new GasOptimizer(feeHistoryProvider(gwei(16)));
+        optimizer.bidShareBps = 5000n;
+        const gasLimit = 100000;
+
+        // 40 gwei break-even leaves 24 gwei over the base fee; half of it is
+        // more than the 4 gwei that landed recently
+        const rich = await optimizer.getProfitBid(gwei(40) * BigInt(gasLimit), gasLimit);
+        suite.assertEqual(rich.breakEvenGasPrice, gwei(40));
+        suite.assertEqual(rich.maxPriorityFeePerGas, gwei(4));
+
+        // 19 gwei break-even: half of the 3 gwei surplus, and the fee cap
+        // stops at break-even below the 18 gwei base fee headroom + tip
+        const thin = await optimizer.getProfitBid(gwei(19) * BigInt(gasLimit), gasLimit);
+        suite.assertEqual(thin.maxPriorityFeePerGas, gwei(3) / 2n);
+        suite.assertEqual(thin.maxFeePerGas, gwei(19));
+
+        suite.assertEqual(await optimizer.getProfitBid(gwei(15) * BigInt(gasLimit), gasLimit), null, 'Base fee alone exceeds the profit');
+        suite.assert(optimizer.shouldWaitForBetterGas(gwei(15) * BigInt(gasLimit), gasLimit), 'Should wait when no bid is possible');
+    });
+
+    suite.test('Should estimate gas per route shape and recalibrate from receipts', async () => {
+        const ArbitrageExecutor = require('../src/executor');
+        const optimizer = new GasOptimizer(null);
+        const v2 = { poolType: 'v2' };
+        const v3 = { poolType: 'v3' };
+
+        const twoHop = optimizer.estimateRouteGas([v2, v2], 'wallet');
+        suite.assert(optimizer.estimateRouteGas([v2, v2, v2], 'wallet') > twoHop, 'More hops should cost more');
+        suite.assert(optimizer.estimateRouteGas([v2, v3], 'wallet') > twoHop, 'V3 legs should cost more than V2');
+        suite.assert(optimizer.estimateRouteGas([v2, v2], 'aave-flash-loan') > twoHop, 'Flash loans should cost more than wallet funding');
+
+        optimizer.recordRouteGas([v2, v2], 'wallet', 180000n);
+        suite.assertEqual(optimizer.estimateRouteGas([v2, v2], 'wallet'), 180000n, 'First receipt replaces the model');
+        optimizer.recordRouteGas([v2, v2], 'wallet', 200000n);
+        suite.assertEqual(optimizer.estimateRouteGas([v2, v2], 'wallet'), 185000n);
+
+        // Profitability pays for the route as estimated, plus a first-time approval
+        const executor = new ArbitrageExecutor(null, null, optimizer);
+        optimizer.getProfitBid = async () => ({ gasPrice: gwei(10) });
+        const opportunity = { legs: [v2, v2], tokenIn: '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2', amountIn: 10n ** 18n, netProfitWei: 10n ** 17n };
+        suite.assertEqual(await executor.estimateGasCost(opportunity), 185000n * gwei(10));
+        executor.needsApproval = async () => true;
+        suite.assertEqual(await executor.estimateGasCost(opportunity), (185000n + optimizer.estimateApprovalGas()) * gwei(10));
+    });
+
+    suite.test('Should persist each fee history block once and reload it', async () => {
+        const fs = require('fs');
+        const os = require('os');
+        const path = require('path');
+        const GasHistoryStore = require('../src/gashistory');
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gas-history-'));
+        const file = path.join(dir, 'history.jsonl');
+
+        // Blocks 100-105, 12s apart except a missed slot before 105
+        const start = Math.floor(Date.now() / 1000) - 3600;
+        const timestampOf = (number) => start + (number - 100) * 12 + (number === 105 ? 12 : 0);
+        const requests = [];
+        const provider = {
+            send: async (method, params) => {
+                suite.assertEqual(method, 'eth_feeHistory');
+                requests.push(`${Number(params[0])}@${Number(params[1])}`);
+                const newest = Number(params[1]);
+                const numbers = Array.from({ length: Number(params[0]) }, (_, index) => newest - Number(params[0]) + 1 + index);
+                return {
+                    oldestBlock: ethers.toQuantity(numbers[0]),
+                    baseFeePerGas: [...numbers, newest + 1].map(number => ethers.toQuantity(gwei(number - 90))),
+                    gasUsedRatio: numbers.map(number => (number === 101 ? 0 : 0.5)),
+                    reward: numbers.map(number => (number === 101 ? [0n, 0n, 0n, 0n] : [gwei(1), gwei(2), gwei(3), gwei(5)]).map(reward => ethers.toQuantity(reward)))
+                };
+            },
+            getBlock: async (number) => ({ number, timestamp: timestampOf(number) })
+        };
+
+        try {
+            const optimizer = new GasOptimizer(provider, new GasHistoryStore(file));
+            optimizer.feeHistoryBlocks = 3;
+            await optimizer.recordFeeHistory(102);
+            await optimizer.recordFeeHistory(102); // Same head again
+            await optimizer.recordFeeHistory(105); // Blocks 103-104 arrived while busy
+            suite.assertEqual(requests.join(','), '3@102,3@105', 'Gaps are filled from the last stored block');
+
+            const reloaded = new GasHistoryStore(file);
+            suite.assertEqual(reloaded.observations.map(block => block.blockNumber).join(','), '100,101,102,103,104,105');
+            suite.assertEqual(reloaded.observations[2].baseFeePerGas, gwei(12));
+            suite.assertEqual(reloaded.observations[2].priorityFees[50], gwei(2));
+            suite.assertEqual(reloaded.observations[0].timestamp, timestampOf(100) * 1000, 'Timestamps come from the blocks');
+            suite.assertEqual(reloaded.observations[5].timestamp, timestampOf(105) * 1000);
+            suite.assertEqual(reloaded.observations[4].timestamp, (timestampOf(103) + 18) * 1000, 'Blocks inside a window are interpolated');
+            suite.assertEqual(reloaded.getSummary().priorityFee[50], gwei(2), 'Empty blocks are left out of tips');
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+
+    suite.test('Should profile base fees by UTC hour and weekday', async () => {
+        const GasHistoryStore = require('../src/gashistory');
+        const store = new GasHistoryStore(null);
+        const today = new Date();
+        const now = Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), today.getUTCDate(), 12); // Within retention
+        const hour = 60 * 60 * 1000;
+
+        // Two days of blocks at 20 gwei, except 10 gwei around 03:00
+        const observations = [];
+        for (let index = 0; index < 48; index++) {
+            const timestamp = now - (48 - index) * hour;
+            observations.push({
+                blockNumber: index + 1,
+                timestamp,
+                baseFeePerGas: new Date(timestamp).getUTCHours() === 3 ? gwei(10) : gwei(20),
+                gasUsedRatio: 0.5,
+                priorityFees: { 50: gwei(1) }
+            });
+        }
+        store.record(observations);
+
+        const hourly = store.getHourlyProfile(7 * 24 * hour, now);
+        suite.assertEqual(hourly[3].blocks, 2);
+        suite.assertEqual(GasHistoryStore.rankCheapest(hourly, 1)[0].bucket, 3);
+        suite.assertEqual(store.getWeekdayProfile(7 * 24 * hour, now).filter(day => day.blocks > 0).length, 3);
+
+        const summary = store.getSummary(24 * hour, [10, 90], now);
+        suite.assertEqual(summary.blocks, 24);
+        suite.assertEqual(summary.baseFee[10], gwei(20), 'One cheap hour in 24 is below the 10th percentile');
+        suite.assertEqual(store.getTrend(6 * hour, now), 'stable');
+    });
+
+    return await suite.run();
+}
+
 async function runAllTests() {
     console.log('🚀 Starting MEV Bot Tests');
     console.log('==========================\n');
@@ -140,6 +1368,30 @@ async function runAllTests() {
         const utilsPassed = await testUtils();
         allPassed = allPassed && utilsPassed;
 
+        const v3Passed = await testUniswapV3Math();
+        allPassed = allPassed && v3Passed;
+
+        const discoveryPassed = await testPairDiscovery();
+        allPassed = allPassed && discoveryPassed;
+
+        const multicallPassed = await testMulticall();
+        allPassed = allPassed && multicallPassed;
+
+        const curvePassed = await testCurveStableSwap();
+        allPassed = allPassed && curvePassed;
+
+        const balancerPassed = await testBalancerWeightedPool();
+        allPassed = allPassed && balancerPassed;
+
+        const reorgPassed = await testChainReorg();
+        allPassed = allPassed && reorgPassed;
+
+        const atomicPassed = await testAtomicExecution();
+        allPassed = allPassed && atomicPassed;
+
+        const gasPassed = await testGasStrategy();
+        allPassed = allPassed && gasPassed;
+
     } catch (error) {
         console.error('❌ Test suite failed:', error.message);
         allPassed = false;